@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Resgrid to ESO Bridge - Command Line Interface
+ *
+ * One entry point for running and operating the bridge. Every command uses
+ * the same src/ modules as the running service.
+ *
+ * Usage:
+ *   node bridge.js listen
+ *   node bridge.js backfill [--days=N | --from=WHEN [--to=WHEN]] [--force] [--queue-only] [--restart]
+ *   node bridge.js resend <callId> [--changed-only] [--destination=NAME ...] [--queue-only]
+ *   node bridge.js render <callId> [--unit=NAME]
+ *   node bridge.js export [--active | --days=N | --from=YYYY-MM-DD [--to=YYYY-MM-DD]]
+ *   node bridge.js units status [UNIT ...] [--watch [--interval=SECONDS]]
+ *   node bridge.js validate [FILE ...]
+ *   node bridge.js shadow report [CALLID ...] [--since=WHEN] [--all]
+ *   node bridge.js help [command]
+ *
+ * Shared options:
+ *   --config=FILE   load environment variables from FILE instead of .env
+ *   --dry-run       show what would be queued, sent or written without doing it
+ *   --format=FMT    text (default) or json; logs go to stderr so stdout stays parseable
+ */
+require('./src/cli').run(process.argv.slice(2));
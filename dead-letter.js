@@ -0,0 +1,234 @@
+/**
+ * Resgrid to ESO Bridge - Dead-Letter Utility
+ *
+ * Lists, inspects, edits and replays incidents that could not be delivered to
+ * ESO (failed validation, processing errors, or too many upload attempts).
+ * Replayed incidents go through the normal pipeline: they are validated and
+ * queued in the outbox, and the running bridge uploads them.
+ *
+ * Usage:
+ *   node dead-letter.js list
+ *   node dead-letter.js show <id>
+ *   node dead-letter.js edit <id>              (opens the entry in $EDITOR)
+ *   node dead-letter.js replay <id> [--use-xml]
+ *   node dead-letter.js replay --all
+ *   node dead-letter.js remove <id>
+ *
+ * By default a replay regenerates the XML from the stored Resgrid payloads, so
+ * edits to callData / callExtraData take effect. --use-xml sends the stored
+ * (possibly edited) XML as-is after validation. Entries without stored
+ * extra data (processing failures) are re-fetched from Resgrid. A failed
+ * delivery is replayed only to the destination it failed for. Files ESO
+ * rejected (stage "rejected") are sent again even when the document is
+ * unchanged, since the ledger records them as delivered.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { logger } = require('./src/logger');
+const deadLetter = require('./src/dead-letter');
+const { processCall, queueCallIncidents, queueIncident } = require('./src/call-processor');
+const { generateXML } = require('./src/xml-generator');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const command = args[0];
+const id = args.find((arg, index) => index > 0 && !arg.startsWith('--'));
+const useXml = args.includes('--use-xml');
+const replayAll = args.includes('--all');
+
+/**
+ * Prints the dead-letter entries as a table
+ */
+function listEntries() {
+  const entries = deadLetter.listDeadLetters();
+
+  if (entries.length === 0) {
+    console.log('No dead-lettered incidents');
+    return;
+  }
+
+  for (const entry of entries) {
+    const unit = entry.unit ? ` unit ${entry.unit}` : '';
+    const destination = entry.destination ? ` -> ${entry.destination}` : '';
+    const error = (entry.error || '').replace(/\s+/g, ' ').slice(0, 100);
+    console.log(`${entry.id}  ${entry.stage.padEnd(10)}  call ${entry.callId}${unit}${destination}  ${entry.deadLetteredAt}`);
+    console.log(`    ${error}`);
+  }
+  console.log(`\n${entries.length} dead-lettered incident(s)`);
+}
+
+/**
+ * Reads an entry, exiting with an error if it doesn't exist
+ * @param {string} entryId - Entry ID
+ * @returns {Object} Dead-letter entry
+ */
+function requireEntry(entryId) {
+  const entry = entryId && deadLetter.readDeadLetter(entryId);
+  if (!entry) {
+    console.error(`Dead-letter entry not found: ${entryId || '(no id given)'}`);
+    process.exit(1);
+  }
+  return entry;
+}
+
+/**
+ * Prints an entry, with the XML shown as a document rather than a JSON string
+ * @param {string} entryId - Entry ID
+ */
+function showEntry(entryId) {
+  const { xml, ...entry } = requireEntry(entryId);
+
+  console.log(JSON.stringify(entry, null, 2));
+  if (xml) {
+    console.log('\n--- XML ---');
+    console.log(xml);
+  }
+}
+
+/**
+ * Opens an entry in the user's editor and saves it back if it is still valid JSON
+ * @param {string} entryId - Entry ID
+ */
+function editEntry(entryId) {
+  const entry = requireEntry(entryId);
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const tmpPath = path.join(os.tmpdir(), `dead-letter-${entryId}.json`);
+
+  fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2));
+  const result = spawnSync(editor, [tmpPath], { stdio: 'inherit', shell: true });
+
+  try {
+    if (result.status !== 0) {
+      console.error(`Editor exited with status ${result.status}, entry not changed`);
+      return;
+    }
+
+    let edited;
+    try {
+      edited = JSON.parse(fs.readFileSync(tmpPath, 'utf8'));
+    } catch (error) {
+      console.error(`Edited entry is not valid JSON, entry not changed: ${error.message}`);
+      return;
+    }
+
+    edited.id = entry.id;
+    edited.editedAt = new Date().toISOString();
+    fs.writeFileSync(deadLetter.getDeadLetterPath(entryId), JSON.stringify(edited, null, 2));
+    console.log(`Saved ${entryId}; replay it with: node dead-letter.js replay ${entryId}`);
+  } finally {
+    fs.unlinkSync(tmpPath);
+  }
+}
+
+/**
+ * Replays one entry through the normal pipeline
+ * @param {Object} entry - Dead-letter entry
+ * @returns {Promise<boolean>} True if the incident was queued for delivery
+ */
+async function replayEntry(entry) {
+  const unitName = entry.unit || '';
+  // A failed delivery is only replayed to the destination it failed for
+  const destinations = entry.destination ? [entry.destination] : undefined;
+  // The ledger has a rejected file as sent, so the same document has to be forced
+  const force = entry.stage === 'rejected';
+  let result;
+
+  if (useXml && entry.xml) {
+    // Send the stored (possibly hand-edited) XML
+    result = await queueIncident({
+      callId: entry.callId,
+      unitName,
+      xml: entry.xml,
+      trigger: 'replay',
+      call: entry.callData,
+      callExtraData: entry.callExtraData,
+      destinations,
+      force
+    });
+  } else if (entry.callData && entry.callExtraData) {
+    if (unitName) {
+      // Only regenerate the record for the unit that failed
+      result = await queueIncident({
+        callId: entry.callId,
+        unitName,
+        xml: generateXML(entry.callData, entry.callExtraData, false, unitName),
+        trigger: 'replay',
+        call: entry.callData,
+        callExtraData: entry.callExtraData,
+        destinations,
+        force
+      });
+    } else {
+      result = await queueCallIncidents(entry.callData, entry.callExtraData, 'replay', { destinations, force });
+    }
+  } else {
+    // Only the event payload is available; fetch the call again from Resgrid
+    result = await processCall({ ...entry.callData, CallId: entry.callId }, { trigger: 'replay', destinations, force });
+  }
+
+  if (result.queued) {
+    const items = result.items || [result.item];
+    deadLetter.markReplayed(entry.id, items.map(item => item.id));
+    console.log(`Replayed ${entry.id}: queued ${items.length} incident(s) for delivery`);
+    return true;
+  }
+
+  if (result.errors || result.error) {
+    // The failure was dead-lettered again as a new entry; drop the old one
+    deadLetter.removeDeadLetter(entry.id);
+    const reason = result.errors ? result.errors.join('; ') : result.error.message;
+    console.error(`Replay of ${entry.id} failed again and was dead-lettered as a new entry: ${reason}`);
+    return false;
+  }
+
+  console.log(`Replay of ${entry.id} produced no changes; entry kept`);
+  return false;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    switch (command) {
+      case 'list':
+        listEntries();
+        break;
+      case 'show':
+        showEntry(id);
+        break;
+      case 'edit':
+        editEntry(id);
+        break;
+      case 'replay': {
+        const entries = replayAll ? deadLetter.listDeadLetters() : [requireEntry(id)];
+        let replayed = 0;
+        for (const entry of entries) {
+          if (await replayEntry(entry)) {
+            replayed++;
+          }
+        }
+        console.log(`Replayed ${replayed} of ${entries.length} entries`);
+        break;
+      }
+      case 'remove':
+        requireEntry(id);
+        deadLetter.removeDeadLetter(id);
+        console.log(`Removed ${id}`);
+        break;
+      default:
+        console.log('Usage: node dead-letter.js <list|show|edit|replay|remove> [id] [--use-xml] [--all]');
+        process.exit(command ? 1 : 0);
+    }
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Dead-letter command failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main();
@@ -0,0 +1,367 @@
+/**
+ * Admin API for the Resgrid ESO Bridge
+ *
+ * Authenticated endpoints on the health server, so dispatch supervisors can
+ * look into and fix delivery problems without SSH access to the machine:
+ *   GET  /admin/incidents              recent incidents and their delivery state
+ *   GET  /admin/calls/:callId          stored Resgrid payloads, XML, sends and failures
+ *                                      for a call (?live=true also renders it from Resgrid now)
+ *   POST /admin/calls/:callId/resend   fetch, render and queue a call again
+ *   POST /admin/backfill               queue every call logged in a date range
+ *   GET  /admin/jobs[/:id]             progress of backfills
+ * Every request needs `Authorization: Bearer <ADMIN_TOKEN>`; without
+ * ADMIN_TOKEN the API is disabled.
+ */
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const outbox = require('./outbox');
+const ledger = require('./ledger');
+const deadLetter = require('./dead-letter');
+const { getDeliveries } = require('./delivery-monitor');
+const { processCall } = require('./call-processor');
+const { getCall, getCallExtraData } = require('./resgrid-api');
+const { generateIncidentsByUnit } = require('./xml-generator');
+const { validateIncidentXml } = require('./xml-validator');
+const { checkDateRange, runBackfill } = require('./backfill');
+
+const MAX_BODY_SIZE = 64 * 1024;
+const MAX_JOBS = 20;
+
+// Resgrid Call IDs are numeric
+const CALL_ID_PATTERN = /^\d+$/;
+
+// Backfills started through the API, newest last
+const jobs = new Map();
+
+/**
+ * Sends a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Checks the request's bearer token against ADMIN_TOKEN
+ * @param {Object} req - HTTP request
+ * @returns {boolean} True if the token matches
+ */
+function isAuthorized(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+
+  // Compare digests so the comparison takes the same time whatever the token
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(config.admin.token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Reads a JSON request body
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      let parsed;
+      try {
+        parsed = body.trim() ? JSON.parse(body) : {};
+      } catch (error) {
+        reject(new Error(`Request body is not valid JSON: ${error.message}`));
+        return;
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        reject(new Error('Request body must be a JSON object'));
+        return;
+      }
+      resolve(parsed);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Summarises an outbox item without its payloads
+ * @param {Object} item - Outbox item
+ * @param {Map} confirmations - Delivery monitor results keyed by destination and location
+ * @returns {Object} Incident summary
+ */
+function summarizeItem(item, confirmations) {
+  const confirmation = item.location && confirmations.get(`${item.destination}:${item.location}`);
+
+  return {
+    id: item.id,
+    callId: item.callId,
+    unit: item.unit || '',
+    destination: item.destination,
+    filename: item.filename,
+    trigger: item.trigger,
+    status: item.status,
+    attempts: item.attempts,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    sentAt: item.sentAt,
+    nextAttemptAt: item.status === 'failed' ? item.nextAttemptAt : undefined,
+    lastError: item.lastError || undefined,
+    skipped: item.skipped,
+    location: item.location,
+    confirmation: confirmation ? confirmation.status : undefined
+  };
+}
+
+/**
+ * Summarises a dead-letter entry without its payloads
+ * @param {Object} entry - Dead-letter entry
+ * @returns {Object} Incident summary
+ */
+function summarizeDeadLetter(entry) {
+  return {
+    id: entry.id,
+    callId: entry.callId,
+    unit: entry.unit || '',
+    destination: entry.destination,
+    trigger: entry.trigger,
+    status: 'dead-lettered',
+    stage: entry.stage,
+    createdAt: entry.deadLetteredAt,
+    lastError: entry.error
+  };
+}
+
+/**
+ * Lists recent incidents across the outbox and the dead-letter store
+ * @param {URLSearchParams} query - Filters: callId, status, limit
+ * @returns {Array<Object>} Incident summaries, newest first
+ */
+function listIncidents(query) {
+  const confirmations = new Map(getDeliveries().map(d => [`${d.destination}:${d.remoteFile}`, d]));
+  const limit = Math.min(parseInt(query.get('limit') || '50') || 50, 500);
+  const callId = query.get('callId');
+  const status = query.get('status');
+
+  const incidents = [
+    ...['pending', 'inflight', 'failed', 'sent'].flatMap(state => outbox.listItems(state)).map(item => summarizeItem(item, confirmations)),
+    ...deadLetter.listDeadLetters().map(summarizeDeadLetter)
+  ];
+
+  return incidents
+    .filter(incident => !callId || String(incident.callId) === callId)
+    .filter(incident => !status || incident.status === status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, limit);
+}
+
+/**
+ * Collects everything stored about a call
+ * @param {string} callId - Resgrid Call ID
+ * @param {boolean} live - Also fetch the call from Resgrid and render it now
+ * @returns {Promise<Object>} Call details
+ */
+async function getCallDetails(callId, live) {
+  const matches = record => String(record.callId) === callId;
+
+  const details = {
+    callId,
+    incidents: ['pending', 'inflight', 'failed', 'sent']
+      .flatMap(state => outbox.listItems(state))
+      .filter(matches)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    sends: ledger.getCallEntries(callId),
+    deliveries: getDeliveries().filter(matches),
+    deadLetters: deadLetter.listDeadLetters().filter(matches)
+  };
+
+  if (live) {
+    const unwrap = response => (response && response.Data ? response.Data : (response || {}));
+    const callData = { ...unwrap(await getCall(callId)), CallId: callId };
+    const callExtraData = unwrap(await getCallExtraData(callId));
+
+    details.live = {
+      callData,
+      callExtraData,
+      incidents: generateIncidentsByUnit(callData, callExtraData).map(({ unitName, xml }) => ({
+        unit: unitName,
+        xml,
+        ...validateIncidentXml(xml)
+      }))
+    };
+  }
+
+  return details;
+}
+
+/**
+ * Fetches, renders and queues a call again
+ * @param {string} callId - Resgrid Call ID
+ * @param {Object} body - Options: force (default true), destinations
+ * @returns {Promise<Object>} HTTP status and response body
+ */
+async function resendCall(callId, body) {
+  const force = body.force !== false;
+  const destinations = body.destinations;
+
+  if (destinations !== undefined && !(Array.isArray(destinations) && destinations.every(d => typeof d === 'string'))) {
+    return { status: 400, body: { error: '"destinations" must be a list of destination names' } };
+  }
+
+  logger.info(`Admin API: resend of Call ID: ${callId} requested${force ? ' (forced)' : ''}`);
+  const result = await processCall({ CallId: callId }, { trigger: 'AdminResend', force, destinations });
+
+  if (result.error) {
+    return { status: 502, body: { error: `Unable to process Call ID ${callId}: ${result.error.message}` } };
+  }
+
+  return {
+    status: result.queued ? 202 : 200,
+    body: {
+      queued: result.queued,
+      incidents: (result.items || []).map(item => summarizeItem(item, new Map())),
+      errors: result.errors && result.errors.length > 0 ? result.errors : undefined
+    }
+  };
+}
+
+/**
+ * Starts a backfill in the background
+ * @param {Object} body - Options: from, to (days or ISO timestamps), force
+ * @returns {Object} HTTP status and response body
+ */
+function startBackfill(body) {
+  const errors = checkDateRange(body.from, body.to);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: errors.join('; ') } };
+  }
+
+  const running = [...jobs.values()].find(job => job.status === 'running');
+  if (running) {
+    return { status: 409, body: { error: `Backfill ${running.id} is still running`, job: running } };
+  }
+
+  const job = {
+    id: `backfill-${Date.now()}`,
+    type: 'backfill',
+    from: body.from,
+    to: body.to,
+    force: body.force === true,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    progress: null
+  };
+  jobs.set(job.id, job);
+
+  // Forget the oldest finished jobs
+  for (const id of [...jobs.keys()].slice(0, Math.max(jobs.size - MAX_JOBS, 0))) {
+    jobs.delete(id);
+  }
+
+  logger.info(`Admin API: backfill ${job.id} of calls from ${job.from} to ${job.to} requested`);
+  runBackfill({ from: job.from, to: job.to, force: job.force, trigger: 'AdminBackfill', onProgress: progress => { job.progress = progress; } })
+    .then(summary => {
+      job.status = 'complete';
+      job.progress = summary;
+    })
+    .catch(error => {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`Backfill ${job.id} failed: ${error.message}`);
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+    });
+
+  return { status: 202, body: job };
+}
+
+/**
+ * Routes an admin request
+ * @param {Object} req - HTTP request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Object>} HTTP status and response body
+ */
+async function route(req, url) {
+  let parts;
+  try {
+    parts = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+  } catch (error) {
+    return { status: 400, body: { error: `Malformed path ${url.pathname}` } };
+  }
+  const method = req.method;
+
+  if (method === 'GET' && parts.length === 1 && parts[0] === 'incidents') {
+    return { status: 200, body: listIncidents(url.searchParams) };
+  }
+
+  if (parts[0] === 'calls' && parts[1]) {
+    if (!CALL_ID_PATTERN.test(parts[1])) {
+      return { status: 400, body: { error: `Invalid Call ID "${parts[1]}": expected a number` } };
+    }
+    if (method === 'GET' && parts.length === 2) {
+      return { status: 200, body: await getCallDetails(parts[1], url.searchParams.get('live') === 'true') };
+    }
+    if (method === 'POST' && parts.length === 3 && parts[2] === 'resend') {
+      return resendCall(parts[1], await readJsonBody(req));
+    }
+  }
+
+  if (method === 'POST' && parts.length === 1 && parts[0] === 'backfill') {
+    return startBackfill(await readJsonBody(req));
+  }
+
+  if (method === 'GET' && parts[0] === 'jobs') {
+    if (parts.length === 1) {
+      return { status: 200, body: [...jobs.values()].reverse() };
+    }
+    const job = jobs.get(parts[1]);
+    return job ? { status: 200, body: job } : { status: 404, body: { error: `Unknown job ${parts[1]}` } };
+  }
+
+  return { status: 404, body: { error: `No admin endpoint for ${method} ${url.pathname}` } };
+}
+
+/**
+ * Handles a request under /admin
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @returns {Promise<void>}
+ */
+async function handleAdminRequest(req, res) {
+  if (!config.admin.token) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
+
+  if (!isAuthorized(req)) {
+    logger.warn(`Admin API: rejected unauthenticated ${req.method} ${req.url}`);
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  try {
+    const { status, body } = await route(req, new URL(req.url, 'http://localhost'));
+    sendJson(res, status, body);
+  } catch (error) {
+    logger.error(`Admin API: ${req.method} ${req.url} failed: ${error.message}`);
+    const status = /request body/i.test(error.message) ? 400 : 500;
+    sendJson(res, status, { error: error.message });
+  }
+}
+
+module.exports = { handleAdminRequest };
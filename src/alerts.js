@@ -0,0 +1,333 @@
+/**
+ * Failure alerting for the Resgrid ESO Bridge
+ *
+ * Notifies people (by webhook and/or email) when the bridge needs attention:
+ *   - uploads to a destination failed ALERT_UPLOAD_FAILURES times in a row
+ *   - the SignalR hub has been disconnected for ALERT_HUB_DISCONNECTED_MINUTES
+ *   - Resgrid API token requests failed ALERT_TOKEN_FAILURES times in a row
+ *   - an incident was dead-lettered
+ * An alert is sent once when its condition starts, repeated every
+ * ALERT_REPEAT_MINUTES while it lasts, and followed by a recovery notice when
+ * it clears. Dead-letter alerts have no recovery; the same incident is only
+ * reported once per ALERT_REPEAT_MINUTES (once a day when repeats are off).
+ * Alerts are only sent by the listener (after startAlerts), not by the CLI
+ * scripts.
+ */
+const os = require('os');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const SERVICE_NAME = config.shadow.enabled ? 'Resgrid-ESO Bridge (shadow)' : 'Resgrid-ESO Bridge';
+const CHECK_INTERVAL = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT = 10000;
+
+// Conditions currently alerting: key -> { title, details, raisedAt, notifiedAt }
+const active = new Map();
+
+// When each one-off event was last reported: key -> time
+const reportedEvents = new Map();
+
+// Consecutive failures: destination -> count
+const uploadFailures = new Map();
+let tokenFailures = 0;
+
+let hubDisconnectedAt = null;
+let started = false;
+let mailer = null;
+
+/**
+ * Checks whether any alert channel is configured
+ * @returns {boolean} True if alerts can be sent
+ */
+function isConfigured() {
+  return config.alerts.webhookUrls.length > 0 || Boolean(config.alerts.email.host && config.alerts.email.to.length > 0);
+}
+
+/**
+ * Formats an alert as plain text
+ * @param {Object} alert - Alert
+ * @returns {string} Text for chat messages and email bodies
+ */
+function formatText(alert) {
+  const prefix = alert.status === 'resolved' ? 'RESOLVED' : 'ALERT';
+  return [`[${prefix}] ${SERVICE_NAME}: ${alert.title}`, alert.details, `Host: ${alert.host}`, `Time: ${alert.timestamp}`]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Posts an alert to a webhook
+ * `text` (and `title`) is what Slack and Teams incoming webhooks display; the
+ * `alert` object is there for other receivers.
+ * @param {string} url - Webhook URL
+ * @param {Object} alert - Alert
+ * @returns {Promise<void>}
+ */
+async function sendWebhook(url, alert) {
+  await axios.post(url, {
+    title: `${SERVICE_NAME}: ${alert.title}`,
+    text: formatText(alert),
+    alert
+  }, { timeout: WEBHOOK_TIMEOUT });
+}
+
+/**
+ * Emails an alert
+ * @param {Object} alert - Alert
+ * @returns {Promise<void>}
+ */
+async function sendEmail(alert) {
+  const email = config.alerts.email;
+
+  if (!mailer) {
+    mailer = nodemailer.createTransport({
+      host: email.host,
+      port: email.port,
+      secure: email.secure,
+      auth: email.user ? { user: email.user, pass: email.pass } : undefined
+    });
+  }
+
+  await mailer.sendMail({
+    from: email.from,
+    to: email.to.join(', '),
+    subject: `[${alert.status === 'resolved' ? 'RESOLVED' : 'ALERT'}] ${SERVICE_NAME}: ${alert.title}`,
+    text: formatText(alert)
+  });
+}
+
+/**
+ * Sends an alert to every configured channel; failures are logged, never thrown
+ * @param {Object} alert - Alert
+ * @returns {Promise<void>}
+ */
+async function dispatch(alert) {
+  const deliveries = config.alerts.webhookUrls.map(url => ({ channel: `webhook ${new URL(url).host}`, send: () => sendWebhook(url, alert) }));
+  if (config.alerts.email.host && config.alerts.email.to.length > 0) {
+    deliveries.push({ channel: 'email', send: () => sendEmail(alert) });
+  }
+
+  const results = await Promise.allSettled(deliveries.map(delivery => delivery.send()));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      logger.error(`Unable to send alert "${alert.title}" by ${deliveries[i].channel}: ${result.reason.message}`);
+    }
+  });
+}
+
+/**
+ * Builds and sends an alert
+ * @param {string} status - 'firing' or 'resolved'
+ * @param {string} key - Condition the alert is about
+ * @param {string} title - Short summary
+ * @param {string} [details] - More information
+ * @returns {Promise<void>}
+ */
+function notify(status, key, title, details) {
+  const alert = { status, key, title, details, host: os.hostname(), timestamp: new Date().toISOString() };
+  logger[status === 'resolved' ? 'info' : 'warn'](`Sending ${status === 'resolved' ? 'recovery notice' : 'alert'}: ${title}`);
+  return dispatch(alert).catch(error => {
+    logger.error(`Unable to send alert "${title}": ${error.message}`);
+  });
+}
+
+/**
+ * Checks whether a reminder or repeated report is due
+ * @param {number} lastAt - When it was last sent
+ * @returns {boolean} True if ALERT_REPEAT_MINUTES have passed (never when repeats are disabled)
+ */
+function isRepeatDue(lastAt) {
+  return config.alerts.repeatMinutes > 0 && Date.now() - lastAt >= config.alerts.repeatMinutes * 60000;
+}
+
+/**
+ * Raises an alert for a condition (ignored while it is already alerting, until a reminder is due)
+ * @param {string} key - Condition, e.g. 'upload:eso'
+ * @param {string} title - Short summary
+ * @param {string} [details] - More information
+ */
+function raise(key, title, details) {
+  if (!started) {
+    return;
+  }
+
+  const existing = active.get(key);
+  if (existing && !isRepeatDue(existing.notifiedAt)) {
+    return;
+  }
+
+  const now = Date.now();
+  active.set(key, { title, details, raisedAt: existing ? existing.raisedAt : now, notifiedAt: now });
+  notify('firing', key, existing ? `${title} (reminder)` : title, details);
+}
+
+/**
+ * Clears an alert, sending a recovery notice if it was alerting
+ * @param {string} key - Condition
+ * @param {string} title - Short summary of the recovery
+ */
+function resolve(key, title) {
+  const existing = active.get(key);
+  if (!existing) {
+    return;
+  }
+
+  active.delete(key);
+  const minutes = Math.round((Date.now() - existing.raisedAt) / 60000);
+  notify('resolved', key, title, `Alerting since ${new Date(existing.raisedAt).toISOString()} (${minutes} minutes): ${existing.title}`);
+}
+
+/**
+ * Reports a one-off event, at most once per ALERT_REPEAT_MINUTES (or a day) for the same key
+ * @param {string} key - Event
+ * @param {string} title - Short summary
+ * @param {string} [details] - More information
+ */
+function report(key, title, details) {
+  if (!started) {
+    return;
+  }
+
+  // Forget events reported more than a day ago
+  for (const [reportedKey, reportedAt] of reportedEvents) {
+    if (Date.now() - reportedAt >= DAY_MS) {
+      reportedEvents.delete(reportedKey);
+    }
+  }
+
+  const lastAt = reportedEvents.get(key);
+  if (lastAt !== undefined && !isRepeatDue(lastAt)) {
+    return;
+  }
+
+  reportedEvents.set(key, Date.now());
+  notify('firing', key, title, details);
+}
+
+/**
+ * Records the outcome of an upload
+ * @param {string} destination - Destination name
+ * @param {Error} [error] - Why the upload failed (omit on success)
+ */
+function recordUpload(destination, error) {
+  const key = `upload:${destination}`;
+
+  if (!error) {
+    uploadFailures.delete(destination);
+    resolve(key, `Uploads to ${destination} are succeeding again`);
+    return;
+  }
+
+  const failures = (uploadFailures.get(destination) || 0) + 1;
+  uploadFailures.set(destination, failures);
+  if (failures >= config.alerts.uploadFailures) {
+    raise(key, `Uploads to ${destination} are failing`, `${failures} consecutive uploads failed. Last error: ${error.message}`);
+  }
+}
+
+/**
+ * Records the outcome of a Resgrid API token request
+ * @param {Error} [error] - Why the request failed (omit on success)
+ */
+function recordTokenRefresh(error) {
+  if (!error) {
+    tokenFailures = 0;
+    resolve('token', 'Resgrid API token requests are succeeding again');
+    return;
+  }
+
+  tokenFailures++;
+  if (tokenFailures >= config.alerts.tokenFailures) {
+    raise('token', 'Resgrid API token requests are failing', `${tokenFailures} consecutive token requests failed. Last error: ${error.message}`);
+  }
+}
+
+/**
+ * Records whether the SignalR hub is connected
+ * @param {boolean} connected - True when the hub connected, false when it disconnected
+ */
+function recordHubState(connected) {
+  if (connected) {
+    hubDisconnectedAt = null;
+    resolve('hub', 'SignalR hub reconnected');
+  } else if (!hubDisconnectedAt) {
+    hubDisconnectedAt = Date.now();
+  }
+}
+
+/**
+ * Reports a dead-lettered incident
+ * @param {Object} entry - Dead-letter entry
+ */
+function recordDeadLetter(entry) {
+  if (!config.alerts.deadLetters) {
+    return;
+  }
+
+  const label = `Call ID: ${entry.callId}${entry.unit ? ` unit ${entry.unit}` : ''}`;
+  report(
+    `dead-letter:${entry.callId}:${entry.unit || ''}:${entry.destination || ''}:${entry.stage}`,
+    `${label} was dead-lettered (${entry.stage})`,
+    `${entry.error}${entry.destination ? `\nDestination: ${entry.destination}` : ''}\nReview with: node dead-letter.js show ${entry.id}`
+  );
+}
+
+/**
+ * Raises the hub alert once the hub has been disconnected for too long
+ */
+function checkHub() {
+  if (!hubDisconnectedAt) {
+    return;
+  }
+
+  const minutes = Math.floor((Date.now() - hubDisconnectedAt) / 60000);
+  if (minutes >= config.alerts.hubDisconnectedMinutes) {
+    const fallback = config.app.ingestMode === 'auto'
+      ? 'Calls are being polled from Resgrid meanwhile.'
+      : 'No new calls are being received.';
+    raise('hub', 'SignalR hub disconnected', `Disconnected since ${new Date(hubDisconnectedAt).toISOString()} (${minutes} minutes). ${fallback}`);
+  }
+}
+
+/**
+ * Starts sending alerts and checking the hub connection every minute
+ * @returns {Object} Handle with a stop() method
+ */
+function startAlerts() {
+  if (!isConfigured()) {
+    logger.info('Alerting is disabled (set ALERT_WEBHOOK_URLS and/or ALERT_SMTP_HOST with ALERT_EMAIL_TO)');
+    return { stop() {} };
+  }
+
+  started = true;
+
+  // The hub counts as disconnected until it first connects
+  if (config.app.ingestMode !== 'polling' && !hubDisconnectedAt) {
+    hubDisconnectedAt = Date.now();
+  }
+
+  const timer = setInterval(checkHub, CHECK_INTERVAL);
+  const channels = [
+    ...config.alerts.webhookUrls.map(url => `webhook ${new URL(url).host}`),
+    ...(config.alerts.email.host && config.alerts.email.to.length > 0 ? [`email to ${config.alerts.email.to.join(', ')}`] : [])
+  ];
+  logger.info(`Alerting started (${channels.join(', ')})`);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      started = false;
+    }
+  };
+}
+
+module.exports = {
+  recordUpload,
+  recordTokenRefresh,
+  recordHubState,
+  recordDeadLetter,
+  startAlerts
+};
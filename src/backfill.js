@@ -0,0 +1,317 @@
+/**
+ * Backfill for the Resgrid ESO Bridge
+ * Sends the calls logged in a time range through the normal pipeline: each
+ * call is fetched, rendered, validated and queued for every destination, and
+ * the outbox worker delivers it.
+ *   - the range is fetched from Resgrid in windows of BACKFILL_WINDOW_HOURS
+ *   - up to BACKFILL_CONCURRENCY calls are processed at once (every Resgrid
+ *     request also waits its turn under RESGRID_RATE_LIMIT)
+ *   - progress is checkpointed in BACKFILL_CHECKPOINT_DIR after every call, so
+ *     running the same backfill again after a crash resumes where it stopped
+ *   - calls the ledger shows were delivered to every destination are skipped
+ *     without being fetched, and incidents a destination already has are not
+ *     queued again, unless the backfill is forced
+ * A dry run renders every call and reports what would be queued without
+ * queueing anything or writing a checkpoint.
+ */
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { getCallsInDateRange } = require('./resgrid-api');
+const { processCall, renderCall } = require('./call-processor');
+const { getDestinations } = require('./transports');
+const ledger = require('./ledger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ZONE_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses one end of a backfill range
+ * A day (YYYY-MM-DD) that starts the range begins at midnight UTC; one that
+ * ends it includes the whole day. Timestamps without a time zone are UTC.
+ * @param {string} value - Day or ISO 8601 timestamp
+ * @param {boolean} isEnd - Whether the value ends the range
+ * @returns {Date|null} The time, or null if the value is neither
+ */
+function parseRangeBound(value, isEnd) {
+  const text = String(value || '');
+
+  if (DATE_PATTERN.test(text)) {
+    const start = new Date(`${text}T00:00:00Z`);
+    return isNaN(start.getTime()) ? null : new Date(start.getTime() + (isEnd ? DAY_MS : 0));
+  }
+  if (TIMESTAMP_PATTERN.test(text)) {
+    const time = new Date(ZONE_PATTERN.test(text) ? text : `${text}Z`);
+    return isNaN(time.getTime()) ? null : time;
+  }
+  return null;
+}
+
+/**
+ * Checks a backfill range
+ * @param {string} from - Start (YYYY-MM-DD or ISO 8601 timestamp)
+ * @param {string} to - End (YYYY-MM-DD, inclusive, or ISO 8601 timestamp)
+ * @returns {Array<string>} Error messages (empty when the range is valid)
+ */
+function checkDateRange(from, to) {
+  const errors = [];
+
+  for (const [name, value, isEnd] of [['from', from, false], ['to', to, true]]) {
+    if (!parseRangeBound(value, isEnd)) {
+      errors.push(`"${name}" must be a date (YYYY-MM-DD) or timestamp (YYYY-MM-DDTHH:MM:SSZ)`);
+    }
+  }
+  if (errors.length === 0 && parseRangeBound(from, false) >= parseRangeBound(to, true)) {
+    errors.push('"from" must be before "to"');
+  }
+
+  return errors;
+}
+
+/**
+ * Splits a range into windows small enough for one GetCallsInDateRange request
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range (exclusive)
+ * @param {number} windowHours - Length of each window
+ * @returns {Array<Object>} Windows with from and to (ISO timestamps, to exclusive)
+ */
+function splitRange(start, end, windowHours) {
+  const windowMs = Math.max(windowHours, 1) * 60 * 60 * 1000;
+  const windows = [];
+
+  for (let time = start.getTime(); time < end.getTime(); time += windowMs) {
+    windows.push({
+      from: new Date(time).toISOString(),
+      to: new Date(Math.min(time + windowMs, end.getTime())).toISOString()
+    });
+  }
+  return windows;
+}
+
+/**
+ * Gets the time a call was logged
+ * @param {Object} call - Call data
+ * @returns {number} Milliseconds since the epoch (NaN if unknown)
+ */
+function getLoggedOn(call) {
+  return new Date(call.LoggedOn || call.LoggedOnUtc || call.Timestamp).getTime();
+}
+
+/**
+ * Gets the checkpoint file for a range
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range
+ * @returns {string} Path
+ */
+function getCheckpointPath(start, end) {
+  const name = `${start.toISOString()}_${end.toISOString()}`.replace(/[:.]/g, '-');
+  return path.join(config.backfill.checkpointDir, `${name}.json`);
+}
+
+/**
+ * Loads the checkpoint left by an interrupted backfill of the same range
+ * @param {string} file - Checkpoint file
+ * @returns {Object|null} Checkpoint, or null if there is none
+ */
+function loadCheckpoint(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read backfill checkpoint ${file}, starting from the beginning: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Saves a backfill checkpoint
+ * @param {string} file - Checkpoint file
+ * @param {Object} checkpoint - Checkpoint
+ */
+function saveCheckpoint(file, checkpoint) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpPath = `${file}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmpPath, file);
+}
+
+/**
+ * Checks whether the ledger shows a call was delivered to every destination
+ * @param {string} callId - Resgrid Call ID
+ * @returns {boolean} True if every destination has been sent the call
+ */
+function isDelivered(callId) {
+  const defaultDestination = getDestinations()[0].name;
+  const sentTo = new Set(ledger.getCallEntries(callId).map(entry => entry.destination || defaultDestination));
+  return getDestinations().every(destination => sentTo.has(destination.name));
+}
+
+/**
+ * Renders a call and works out what a backfill would queue for it
+ * @param {Object} call - Call from the date range
+ * @param {boolean} force - Whether documents already sent would be sent again
+ * @returns {Promise<Object>} Result shaped like processCall's, with the rendered incidents
+ */
+async function previewCall(call, force) {
+  try {
+    const { incidents } = await renderCall(call, { force });
+    return {
+      queued: incidents.some(incident => incident.destinations.some(d => d.action === 'send')),
+      errors: incidents.flatMap(incident => incident.errors),
+      incidents
+    };
+  } catch (error) {
+    logger.error(`Unable to render Call ID: ${call.CallId}: ${error.message}`);
+    return { queued: false, error };
+  }
+}
+
+/**
+ * Runs a worker over items with at most `limit` running at once
+ * @param {Array} items - Items to work on
+ * @param {number} limit - Most items in progress at once
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Queues every call logged in a range for delivery
+ * @param {Object} options - Backfill options
+ * @param {string} options.from - Start (YYYY-MM-DD or ISO 8601 timestamp)
+ * @param {string} options.to - End (YYYY-MM-DD, inclusive, or ISO 8601 timestamp)
+ * @param {boolean} [options.force=false] - Send again even if a destination already has the document
+ * @param {string} [options.trigger='Backfill'] - Trigger recorded on the queued incidents
+ * @param {boolean} [options.dryRun=false] - Only report what would be queued
+ * @param {boolean} [options.restart=false] - Ignore the checkpoint of an interrupted run of this range
+ * @param {number} [options.concurrency] - Most calls processed at once (default: BACKFILL_CONCURRENCY)
+ * @param {number} [options.windowHours] - Hours of calls fetched per request (default: BACKFILL_WINDOW_HOURS)
+ * @param {Function} [options.onProgress] - Called with the summary after each call
+ * @param {Function} [options.onCall] - Called with each call and its processing (or preview) result
+ * @returns {Promise<Object>} Summary with calls, queued, unchanged, skipped (already delivered)
+ *   and failed counts (in a dry run, queued counts the calls that would be queued)
+ */
+async function runBackfill({
+  from,
+  to,
+  force = false,
+  trigger = 'Backfill',
+  dryRun = false,
+  restart = false,
+  concurrency = config.backfill.concurrency,
+  windowHours = config.backfill.windowHours,
+  onProgress,
+  onCall
+}) {
+  const errors = checkDateRange(from, to);
+  if (errors.length > 0) {
+    throw new Error(`Invalid backfill range: ${errors.join('; ')}`);
+  }
+
+  const start = parseRangeBound(from, false);
+  const end = parseRangeBound(to, true);
+  const windows = splitRange(start, end, windowHours);
+  const checkpointPath = getCheckpointPath(start, end);
+  const label = `${start.toISOString()} to ${end.toISOString()}`;
+
+  // Pick up where an interrupted run of the same range stopped
+  const checkpoint = !dryRun && !restart ? loadCheckpoint(checkpointPath) : null;
+  const state = checkpoint || {
+    from: start.toISOString(),
+    to: end.toISOString(),
+    startedAt: new Date().toISOString(),
+    windowsDone: 0,
+    callsInDoneWindows: 0,
+    processedCallIds: [],
+    summary: { processed: 0, queued: 0, unchanged: 0, skipped: 0, failed: 0 }
+  };
+  const summary = { windows: windows.length, windowsDone: state.windowsDone, calls: state.callsInDoneWindows, ...state.summary, resumed: Boolean(checkpoint) };
+
+  const mode = [force ? 'forced' : '', dryRun ? 'dry run' : '', checkpoint ? `resuming at window ${state.windowsDone + 1}` : ''].filter(Boolean).join(', ');
+  logger.info(`Backfill of calls from ${label} started in ${windows.length} window(s) of up to ${windowHours} hours${mode ? ` (${mode})` : ''}`);
+
+  // Calls without a logged time can show up in more than one window
+  const seen = new Set();
+
+  for (let index = state.windowsDone; index < windows.length; index++) {
+    const window = windows[index];
+    const windowStart = new Date(window.from).getTime();
+    const windowEnd = new Date(window.to).getTime();
+
+    const calls = (await getCallsInDateRange(window.from, window.to))
+      .filter(call => call.CallId)
+      .filter(call => {
+        const loggedOn = getLoggedOn(call);
+        return isNaN(loggedOn) ? !seen.has(String(call.CallId)) : loggedOn >= windowStart && loggedOn < windowEnd;
+      });
+    calls.forEach(call => seen.add(String(call.CallId)));
+    summary.calls = state.callsInDoneWindows + calls.length;
+
+    // Oldest first, skipping the calls an interrupted run already did
+    const done = new Set(state.processedCallIds.map(String));
+    const pending = calls
+      .filter(call => !done.has(String(call.CallId)))
+      .sort((a, b) => (getLoggedOn(a) || 0) - (getLoggedOn(b) || 0));
+
+    await runWithConcurrency(pending, concurrency, async (call) => {
+      let result;
+      if (!force && isDelivered(call.CallId)) {
+        result = { queued: false, skipped: true };
+        summary.skipped++;
+      } else {
+        result = dryRun ? await previewCall(call, force) : await processCall(call, { trigger, force });
+        if (result.queued) {
+          summary.queued++;
+        } else if (result.error || (result.errors && result.errors.length > 0)) {
+          summary.failed++;
+        } else {
+          summary.unchanged++;
+        }
+      }
+      summary.processed++;
+
+      if (!dryRun) {
+        state.processedCallIds.push(String(call.CallId));
+        state.summary = { processed: summary.processed, queued: summary.queued, unchanged: summary.unchanged, skipped: summary.skipped, failed: summary.failed };
+        saveCheckpoint(checkpointPath, state);
+      }
+
+      if (onCall) {
+        onCall(call, result);
+      }
+      if (onProgress) {
+        onProgress({ ...summary });
+      }
+    });
+
+    state.windowsDone = index + 1;
+    state.callsInDoneWindows += calls.length;
+    state.processedCallIds = [];
+    summary.windowsDone = state.windowsDone;
+    if (!dryRun) {
+      saveCheckpoint(checkpointPath, state);
+    }
+  }
+
+  // A finished backfill has nothing to resume
+  if (!dryRun) {
+    fs.rmSync(checkpointPath, { force: true });
+  }
+
+  logger.info(`Backfill of calls from ${label} complete: ${summary.queued} queued, ${summary.unchanged} unchanged, ${summary.skipped} already delivered, ${summary.failed} failed`);
+  return summary;
+}
+
+module.exports = { parseRangeBound, checkDateRange, runBackfill };
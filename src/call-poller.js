@@ -0,0 +1,157 @@
+/**
+ * Call poller for the Resgrid ESO Bridge
+ * Polling alternative to the SignalR hub: periodically fetches the
+ * department's active calls, works out which calls are new, changed or no
+ * longer active, and hands them to the same handlers the SignalR events use.
+ * Runs on its own (INGEST_MODE=polling) or only while the hub is unreachable
+ * (INGEST_MODE=auto).
+ */
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { getActiveCalls, getRecentCalls } = require('./resgrid-api');
+const { isProcessed } = require('./catch-up');
+const { recordPoll } = require('./health');
+
+// Active calls seen by the last successful poll: Call ID -> { callData, signature }
+const seenCalls = new Map();
+
+let polling = false;
+
+/**
+ * Calculates a signature for a call summary, used to detect changes
+ * @param {Object} call - Call from the active calls list
+ * @returns {string} SHA-256 hash of the call summary
+ */
+function getSignature(call) {
+  return crypto.createHash('sha256').update(JSON.stringify(call)).digest('hex');
+}
+
+/**
+ * Fetches the open calls, falling back to today's calls if GetActiveCalls fails
+ * @returns {Promise<Object>} Calls, and whether the list is complete enough to detect closed calls
+ */
+async function fetchCalls() {
+  try {
+    return { calls: await getActiveCalls(), complete: true };
+  } catch (error) {
+    logger.warn(`GetActiveCalls failed (${error.message}), polling GetCallsInDateRange instead`);
+    return { calls: await getRecentCalls(1), complete: false };
+  }
+}
+
+/**
+ * Polls Resgrid once and dispatches new, changed and closed calls
+ * Each handler resolves with the processing result; a call whose result has
+ * an error is handled again by the next poll.
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.onNewCall - Async function called with each call not processed before
+ * @param {Function} handlers.onCallChanged - Async function called with each call whose summary changed
+ * @param {Function} handlers.onCallClosed - Async function called with each call that is no longer active
+ * @returns {Promise<Object>} Summary with new, changed and closed counts
+ */
+async function pollCalls(handlers) {
+  const summary = { new: 0, changed: 0, closed: 0 };
+
+  if (polling) {
+    return summary;
+  }
+  polling = true;
+
+  try {
+    const { calls, complete } = await fetchCalls();
+    recordPoll();
+    const activeIds = new Set();
+
+    // Oldest first, so calls reach ESO in the order they were logged
+    const sorted = calls
+      .filter(call => call.CallId)
+      .sort((a, b) => new Date(a.LoggedOn || 0) - new Date(b.LoggedOn || 0));
+
+    for (const call of sorted) {
+      const callId = String(call.CallId);
+      const signature = getSignature(call);
+      const seen = seenCalls.get(callId);
+      activeIds.add(callId);
+
+      if (seen && seen.signature === signature) {
+        continue;
+      }
+
+      try {
+        const isNew = !seen && !isProcessed(callId);
+        let result;
+        if (isNew) {
+          logger.info(`Polling found new Call ID: ${callId}`);
+          result = await handlers.onNewCall(call);
+        } else {
+          // Changed since the last poll, or processed before this poller saw it (e.g. by SignalR)
+          result = await handlers.onCallChanged(call);
+        }
+        if (result && result.error) {
+          throw result.error;
+        }
+
+        summary[isNew ? 'new' : 'changed']++;
+        seenCalls.set(callId, { callData: call, signature });
+      } catch (error) {
+        // Leave it unseen (or with its old signature) so the next poll tries again
+        logger.error(`Polling failed to process Call ID: ${callId}: ${error.message}`);
+      }
+    }
+
+    // A partial list can't tell us which calls were closed
+    if (complete) {
+      for (const [callId, { callData }] of [...seenCalls]) {
+        if (activeIds.has(callId)) {
+          continue;
+        }
+        try {
+          const result = await handlers.onCallClosed(callData);
+          if (result && result.error) {
+            throw result.error;
+          }
+          seenCalls.delete(callId);
+          summary.closed++;
+        } catch (error) {
+          // Keep it seen so the next poll tries again
+          logger.error(`Polling failed to process closed Call ID: ${callId}: ${error.message}`);
+        }
+      }
+    }
+
+    if (summary.new || summary.changed || summary.closed) {
+      logger.info(`Poll complete: ${summary.new} new, ${summary.changed} changed, ${summary.closed} closed calls`);
+    }
+  } catch (error) {
+    logger.error(`Polling Resgrid for calls failed: ${error.message}`);
+  } finally {
+    polling = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Starts polling Resgrid for calls every CALL_POLLING_INTERVAL
+ * @param {Object} handlers - Event handlers (see pollCalls)
+ * @returns {Object} Handle with a stop() method
+ */
+function startCallPoller(handlers) {
+  const tick = () => {
+    pollCalls(handlers);
+  };
+
+  const timer = setInterval(tick, config.app.pollingInterval);
+  logger.info(`Call poller started (polling Resgrid every ${config.app.pollingInterval / 1000}s)`);
+  tick();
+
+  return {
+    stop() {
+      clearInterval(timer);
+      logger.info('Call poller stopped');
+    }
+  };
+}
+
+module.exports = { pollCalls, startCallPoller };
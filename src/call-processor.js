@@ -0,0 +1,399 @@
+/**
+ * Call processing pipeline for the Resgrid ESO Bridge
+ * Fetches call data from Resgrid, generates the ESO XML and queues it for
+ * delivery to every configured destination. Used for new calls as well as
+ * updates to calls already sent.
+ */
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { getCall, getCallExtraData } = require('./resgrid-api');
+const { mapPriorityToEsoCode, DEFAULT_RESPONSE_MODE } = require('./utils/priority');
+const { generateIncidentsByUnit } = require('./xml-generator');
+const { isResponderUnit } = require('./field-mapping');
+const { validateIncidentXml } = require('./xml-validator');
+const { addDeadLetter } = require('./dead-letter');
+const { recordProcessedCall } = require('./catch-up');
+const { getDestinations, getFilename, selectFields } = require('./transports');
+const ledger = require('./ledger');
+const outbox = require('./outbox');
+const metrics = require('./metrics');
+
+// Ensure logs directory exists
+const logsDir = config.app.logsDir;
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir, { recursive: true });
+  logger.info(`Created logs directory: ${logsDir}`);
+}
+
+// Per-call promise chains so bursts of events for one call are processed in order
+const callQueues = new Map();
+
+/**
+ * Unwraps the Data envelope returned by the Resgrid v4 API
+ * @param {Object} response - API response body
+ * @returns {Object} The inner data object
+ */
+function unwrapData(response) {
+  return response && response.Data ? response.Data : (response || {});
+}
+
+/**
+ * Builds the flattened call record used for Google Sheets logging
+ * (outbox items carry the raw payloads; this is derived when the row is written)
+ * @param {Object} callData - Call data (event payload merged with GetCall data)
+ * @param {Object} callExtraData - Data from the GetCallExtraData endpoint
+ * @returns {Object} Flattened call data
+ */
+function buildCallDataForXml(callData, callExtraData) {
+  // Extract or generate units CSV list
+  let unitsCsv = '';
+  
+  // Filter and extract unit names from dispatches
+  if (callExtraData.Dispatches && Array.isArray(callExtraData.Dispatches)) {
+    const units = callExtraData.Dispatches
+      .filter(isResponderUnit)
+      .map(d => d.Name);
+    
+    unitsCsv = units.join(', ');
+    logger.info(`Extracted units: ${unitsCsv}`);
+  } else {
+    logger.warn(`No dispatches found for Call ID: ${callData.CallId}`);
+  }
+  
+  // Extract address components
+  let addressLine1 = callExtraData.AddressLine1 || callData.Address || '';
+  let addressLine2 = callExtraData.AddressLine2 || '';
+  let city = callExtraData.City || '';
+  let state = callExtraData.State || '';
+  let zip = callExtraData.ZipCode || callExtraData.Zip || '';
+  let county = callExtraData.County || '';
+  
+  // Parse full address if individual components not provided
+  if (!city && !state && callData.Address) {
+    const addressParts = callData.Address.split(',');
+    if (addressParts.length >= 2) {
+      city = addressParts[1].trim();
+    }
+    
+    if (addressParts.length >= 3) {
+      // Try to extract state and zip
+      const stateZip = addressParts[2].trim().split(' ');
+      if (stateZip.length >= 1) {
+        state = stateZip[0].trim();
+      }
+      
+      if (stateZip.length >= 2) {
+        zip = stateZip[1].trim();
+      }
+    }
+  }
+  
+  // Extract or generate run number
+  const runNumber = callExtraData.CallId || callData.CallId || '';
+  
+  // Extract ResponseModeToScene from Priority ID and Nature
+  let responseModeToScene = DEFAULT_RESPONSE_MODE; // Use our centralized default from the utility
+  
+  // Pass both Priority ID and Nature to better determine response mode
+  const callNature = callExtraData.Name || callExtraData.Nature || callData.Nature || '';
+  
+  if (callExtraData.Priority && callExtraData.Priority.Id) {
+    // Use our centralized utility function for mapping with enhanced nature detection
+    responseModeToScene = mapPriorityToEsoCode(callExtraData.Priority.Id, callNature);
+    logger.info(`Mapped Resgrid Priority ID ${callExtraData.Priority.Id} and Nature "${callNature}" to ESO ResponseModeToScene ${responseModeToScene}`);
+  } else {
+    // If Priority is missing entirely, still check nature for keywords
+    responseModeToScene = mapPriorityToEsoCode(null, callNature);
+    logger.warn(`No Resgrid Priority ID found, using Nature-based or default ResponseModeToScene ${responseModeToScene}`);
+  }
+  
+  // Prepare data for XML generation with additional fields according to ESO mapping
+  return {
+    // Required fields
+    CallId: callExtraData.CallId || callData.CallId,
+    Timestamp: callExtraData.LoggedOn || callExtraData.LoggedOnUtc || callData.Timestamp || new Date().toISOString(),
+    Nature: callExtraData.Name || callExtraData.Nature || callData.Nature || '',
+    Address: callExtraData.FullAddress || callData.Address || '',
+    UnitsCsv: unitsCsv,
+    Notes: callExtraData.Note || callExtraData.Notes || callData.Notes || '',
+    
+    // Additional address components
+    IncidentAddress1: addressLine1,
+    IncidentAddress2: addressLine2,
+    City: city,
+    County: county,
+    State: state,
+    Zip: zip,
+    DestinationName: callExtraData.DestinationName || '',
+    
+    // ESO mapped fields
+    Priority: callData.Priority || (callExtraData.Priority ? callExtraData.Priority.Name : '') || '',  // Used for internal reference only
+    RunNumber: runNumber,
+    ResponseModeToScene: responseModeToScene, // ESO response mode mapped from Resgrid Priority.Id
+    
+    // Additional location information
+    GeoLocation: `${callExtraData.Latitude || ''},${callExtraData.Longitude || ''}`,
+    CrossStreet: callExtraData.CrossStreet || callData.CrossStreet || '',
+    MapPage: callExtraData.MapPage || callData.MapPage || '',
+    
+    // Caller information
+    ReportingParty: callExtraData.ReportingParty || callData.ReportingParty || '',
+    ReportingPhone: callExtraData.ReportingPartyPhone || callData.ReportingPhone || '',
+    
+    // Call status
+    CallStatus: callExtraData.CallState || callData.CallStatus || '',
+    
+    // Driver information
+    Driver: callExtraData.Driver || callData.Driver || '',
+    
+    // Timestamps
+    TransferOfPatientTime: callExtraData.TransferPatientTime || callData.TransferOfPatientTime || '',
+    DispatchClosedTime: callExtraData.DispatchClosedTime || callData.DispatchClosedTime || '',
+    UnitNotifiedTime: callExtraData.UnitNotifiedTime || callData.UnitNotifiedTime || '',
+    UnitEnRouteTime: callExtraData.UnitEnRouteTime || callData.UnitEnRouteTime || '',
+    UnitArrivedTime: callExtraData.UnitArrivedTime || callData.UnitArrivedTime || ''
+  };
+}
+
+/**
+ * Validates one incident document and queues it for delivery, one outbox item per destination
+ * Invalid documents are dead-lettered. A destination is skipped when it was
+ * already sent the same document, or one is already queued for it.
+ * @param {Object} incident - Incident to queue
+ * @param {string} incident.callId - Resgrid Call ID
+ * @param {string} incident.unitName - Unit call sign ('' when the call has no unit)
+ * @param {string} incident.xml - Generated XML document
+ * @param {string} incident.trigger - What caused the processing
+ * @param {Object} incident.call - Raw call data the XML was generated from
+ * @param {Object} incident.callExtraData - Raw extra call data from Resgrid
+ * @param {Array<string>} [incident.destinations] - Only queue for these destinations (default: all)
+ * @param {boolean} [incident.force] - Queue even if the document was already sent or queued
+ * @param {number} [incident.receivedAt] - When the CallAdded event for the call arrived
+ * @returns {Promise<Object>} Result with queued flag, and the outbox items or validation errors
+ */
+async function queueIncident({ callId, unitName, xml, trigger, call, callExtraData, destinations, force, receivedAt }) {
+  const label = unitName ? `Call ID: ${callId} unit ${unitName}` : `Call ID: ${callId}`;
+  
+  // Never upload a document ESO can't import; keep it for review instead
+  const validation = validateIncidentXml(xml);
+  if (!validation.valid) {
+    addDeadLetter({
+      stage: 'validation',
+      error: `Invalid CadIncident XML: ${validation.errors.join('; ')}`,
+      errors: validation.errors,
+      callId,
+      unit: unitName,
+      xml,
+      trigger,
+      callData: call,
+      callExtraData
+    });
+    metrics.incidentsInvalid.inc({ trigger });
+    return { queued: false, errors: validation.errors };
+  }
+  
+  // Never send a destination a document it already has (the ledger survives
+  // restarts and is shared with the CLI scripts), or queue it twice
+  const pending = [];
+  for (const destination of getDestinations()) {
+    if (destinations && !destinations.includes(destination.name)) {
+      continue;
+    }
+    const document = selectFields(destination, xml);
+    if (!force && ledger.isAlreadySent(callId, unitName, document, destination.name)) {
+      logger.info(`${label} was already sent to ${destination.name} with identical content, skipping upload`);
+      continue;
+    }
+    if (!force && outbox.isQueued(callId, unitName, document, destination.name)) {
+      logger.info(`No changes for ${label} after ${trigger}, identical content already queued for ${destination.name}`);
+      continue;
+    }
+    pending.push({ destination, document });
+  }
+  
+  if (pending.length === 0) {
+    return { queued: false };
+  }
+  
+  // Timestamp in the file names prevents collisions
+  const timestamp = Date.now();
+  
+  // Save a copy to the logs directory for archiving and debugging
+  const key = unitName ? `call_${callId}_${unitName}` : `call_${callId}`;
+  const logFilePath = path.join(logsDir, `${key}_${timestamp}.xml`);
+  logger.info(`Saving copy of XML to logs directory: ${logFilePath}`);
+  fs.writeFileSync(logFilePath, xml);
+  
+  // Hand the incident to the durable outbox, one item per destination, so each
+  // destination succeeds or retries on its own. The raw Resgrid payloads travel
+  // with it so a failed delivery can be replayed.
+  const items = pending.map(({ destination, document }) => outbox.enqueue({
+    callId,
+    unit: unitName,
+    destination: destination.name,
+    filename: getFilename(destination, { callId, unit: unitName, timestamp }),
+    xml: document,
+    trigger,
+    force: force || undefined,
+    receivedAt,
+    callData: call,
+    callExtraData
+  }));
+  metrics.incidentsGenerated.inc({ trigger });
+  
+  return { queued: true, items };
+}
+
+/**
+ * Generates and queues the ESO incidents for call data already fetched from Resgrid
+ * (one per responding unit)
+ * @param {Object} call - Call data (event payload merged with GetCall data)
+ * @param {Object} callExtraData - Data from the GetCallExtraData endpoint
+ * @param {string} trigger - What caused the processing
+ * @param {Object} [options] - Queue options
+ * @param {Array<string>} [options.destinations] - Only queue for these destinations (default: all)
+ * @param {boolean} [options.force] - Queue even documents that were already sent or queued
+ * @param {number} [options.receivedAt] - When the CallAdded event for the call arrived
+ * @returns {Promise<Object>} Result with queued flag, outbox items and validation errors
+ */
+async function queueCallIncidents(call, callExtraData, trigger, options = {}) {
+  const callId = call.CallId;
+  
+  // One CadIncident per responding EMS unit, each with that unit's own times
+  const incidents = generateIncidentsByUnit(call, callExtraData);
+  const items = [];
+  const errors = [];
+  
+  for (const { unitName, xml } of incidents) {
+    const result = await queueIncident({ callId, unitName, xml, trigger, call, callExtraData, ...options });
+    if (result.items) {
+      items.push(...result.items);
+    }
+    if (result.errors) {
+      errors.push(...result.errors);
+    }
+  }
+  
+  if (incidents.length > 1) {
+    logger.info(`Call ID: ${callId} has ${incidents.length} responding units, queued ${items.length} updated records`);
+  }
+  
+  return { queued: items.length > 0, items, errors };
+}
+
+/**
+ * Fetches the latest data for a call from Resgrid
+ * @param {Object} callData - Call data from the event (must include CallId)
+ * @returns {Promise<Object>} The call (event payload merged with GetCall data) and its extra data
+ */
+async function fetchCallData(callData) {
+  const callId = callData.CallId;
+  
+  // Fetch the latest call record; fall back to the event payload if unavailable
+  let callRecord = {};
+  try {
+    callRecord = unwrapData(await getCall(callId));
+  } catch (error) {
+    logger.warn(`Using event payload for Call ID: ${callId} (GetCall failed: ${error.message})`);
+  }
+  
+  // Fetch additional data for the call (dispatches and unit activity)
+  const callExtraData = unwrapData(await getCallExtraData(callId));
+  
+  return { call: { ...callData, ...callRecord, CallId: callId }, callExtraData };
+}
+
+/**
+ * Fetches and renders a call without queueing anything, to preview what would be sent
+ * @param {Object} callData - Call data (must include CallId)
+ * @param {Object} [options] - Preview options
+ * @param {Array<string>} [options.destinations] - Only report these destinations (default: all)
+ * @param {boolean} [options.force] - Report documents already sent as to be sent again
+ * @returns {Promise<Object>} The fetched call data and, per unit, the XML, its validation
+ *   result and whether each destination would be sent it ('send', 'already sent' or 'invalid')
+ */
+async function renderCall(callData, options = {}) {
+  const { destinations, force = false } = options;
+  const { call, callExtraData } = await fetchCallData(callData);
+  
+  const incidents = generateIncidentsByUnit(call, callExtraData).map(({ unitName, xml }) => {
+    const validation = validateIncidentXml(xml);
+    const plan = getDestinations()
+      .filter(destination => !destinations || destinations.includes(destination.name))
+      .map(destination => {
+        if (!validation.valid) {
+          return { destination: destination.name, action: 'invalid' };
+        }
+        const sent = !force && ledger.isAlreadySent(call.CallId, unitName, selectFields(destination, xml), destination.name);
+        return { destination: destination.name, action: sent ? 'already sent' : 'send' };
+      });
+    
+    return { unit: unitName, xml, valid: validation.valid, errors: validation.errors, destinations: plan };
+  });
+  
+  return { call, callExtraData, incidents };
+}
+
+/**
+ * Fetches, generates and queues the ESO incidents for a call (one per responding unit)
+ * @param {Object} callData - Call data from the SignalR event (must include CallId)
+ * @param {string} trigger - What caused the processing (for logging)
+ * @param {boolean} deadLetterOnError - Whether processing failures are dead-lettered
+ * @param {Object} queueOptions - Options for queueCallIncidents (destinations, force, receivedAt)
+ * @returns {Promise<Object>} Result with queued flag and the outbox items (one per updated unit)
+ */
+async function runProcessCall(callData, trigger, deadLetterOnError, queueOptions) {
+  const callId = callData.CallId;
+  
+  try {
+    logger.info(`Processing ${trigger} for Call ID: ${callId}`);
+    
+    const { call, callExtraData } = await fetchCallData(callData);
+    
+    const result = await queueCallIncidents(call, callExtraData, trigger, queueOptions);
+    
+    // Advance the catch-up high-water mark so this call isn't picked up again after an outage
+    recordProcessedCall(call);
+    
+    return result;
+  } catch (error) {
+    logger.error(`Error processing call ${callId}`, { error: error.message, trigger });
+    if (deadLetterOnError) {
+      addDeadLetter({ stage: 'processing', error: error.message, callId, trigger, callData });
+    }
+    return { queued: false, error };
+  }
+}
+
+/**
+ * Processes a call, serialising work per call ID
+ * @param {Object} callData - Call data from the SignalR event (must include CallId)
+ * @param {Object} [options] - Processing options
+ * @param {string} [options.trigger='CallAdded'] - What caused the processing
+ * @param {boolean} [options.deadLetterOnError=true] - Dead-letter processing failures
+ *   (disabled for tracker refreshes, which are retried on the next poll anyway)
+ * @param {Array<string>} [options.destinations] - Only deliver to these destinations (default: all)
+ * @param {boolean} [options.force=false] - Send again even if a destination already has the document
+ * @param {number} [options.receivedAt] - When the CallAdded event arrived, to measure the time to upload
+ * @returns {Promise<Object>} Result with queued flag and the outbox items (one per updated unit)
+ */
+function processCall(callData, options = {}) {
+  const { trigger = 'CallAdded', deadLetterOnError = true, destinations, force = false, receivedAt } = options;
+  const callId = callData.CallId;
+  
+  const previous = callQueues.get(callId) || Promise.resolve();
+  const run = previous.then(() => runProcessCall(callData, trigger, deadLetterOnError, { destinations, force, receivedAt }));
+  callQueues.set(callId, run);
+  
+  run.then(() => {
+    if (callQueues.get(callId) === run) {
+      callQueues.delete(callId);
+    }
+  });
+  
+  return run;
+}
+
+module.exports = { processCall, fetchCallData, renderCall, queueCallIncidents, queueIncident, buildCallDataForXml };
@@ -0,0 +1,205 @@
+/**
+ * Call tracker for the Resgrid ESO Bridge
+ * Keeps a list of open calls so that later status changes (en route, on scene,
+ * at patient, back in service) can be picked up and re-sent to ESO.
+ * SignalR update events trigger an immediate refresh; a periodic poll of
+ * GetCallExtraData acts as a fallback when events are missed. The open calls
+ * are saved to disk, so they are still tracked after a restart or redeploy.
+ */
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Open calls keyed by Call ID
+const trackedCalls = new Map();
+
+let refreshCallback = null;
+let pendingRefresh = null;
+
+/**
+ * Loads the calls tracked by a previous run
+ */
+function loadTrackedCalls() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(config.tracking.stateFile, 'utf8'));
+    for (const [callId, entry] of Object.entries(saved)) {
+      trackedCalls.set(callId, entry);
+    }
+    if (trackedCalls.size > 0) {
+      logger.info(`Loaded ${trackedCalls.size} open calls tracked before the restart`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read tracked calls, starting with none: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Saves the tracked calls atomically (temp file + rename)
+ */
+function saveTrackedCalls() {
+  try {
+    fs.mkdirSync(path.dirname(config.tracking.stateFile), { recursive: true });
+    const tmpPath = `${config.tracking.stateFile}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(trackedCalls), null, 2));
+    fs.renameSync(tmpPath, config.tracking.stateFile);
+  } catch (error) {
+    logger.warn(`Unable to save tracked calls: ${error.message}`);
+  }
+}
+
+/**
+ * Extracts a Call ID from a SignalR event payload
+ * Resgrid sends either the bare ID or an object describing the call
+ * @param {*} payload - SignalR event argument
+ * @returns {string|null} Call ID, or null if none could be found
+ */
+function getEventCallId(payload) {
+  if (payload === null || payload === undefined) {
+    return null;
+  }
+
+  if (typeof payload === 'number' || typeof payload === 'string') {
+    return String(payload);
+  }
+
+  const callId = payload.CallId || payload.callId || payload.Id || payload.id;
+  return callId ? String(callId) : null;
+}
+
+/**
+ * Starts tracking a call for lifecycle updates
+ * @param {Object} callData - Call data (must include CallId)
+ */
+function trackCall(callData) {
+  const callId = String(callData.CallId);
+  const existing = trackedCalls.get(callId);
+
+  trackedCalls.set(callId, {
+    callData: { ...(existing ? existing.callData : {}), ...callData },
+    trackedAt: existing ? existing.trackedAt : Date.now()
+  });
+  saveTrackedCalls();
+
+  if (!existing) {
+    logger.info(`Tracking Call ID: ${callId} for lifecycle updates (${trackedCalls.size} open calls)`);
+  }
+}
+
+/**
+ * Stops tracking a call
+ * @param {string} callId - Call ID
+ */
+function untrackCall(callId) {
+  if (trackedCalls.delete(String(callId))) {
+    saveTrackedCalls();
+    logger.info(`Stopped tracking Call ID: ${callId} (${trackedCalls.size} open calls)`);
+  }
+}
+
+/**
+ * Gets the data for a tracked call
+ * @param {string} callId - Call ID
+ * @returns {Object|null} Call data, or null if the call isn't tracked
+ */
+function getTrackedCall(callId) {
+  const entry = trackedCalls.get(String(callId));
+  return entry ? entry.callData : null;
+}
+
+/**
+ * Drops calls that have been open longer than the tracking window
+ */
+function expireTrackedCalls() {
+  const cutoff = Date.now() - config.tracking.maxAgeHours * 60 * 60 * 1000;
+  let expired = 0;
+
+  for (const [callId, entry] of trackedCalls) {
+    if (entry.trackedAt < cutoff) {
+      trackedCalls.delete(callId);
+      expired++;
+      logger.info(`Stopped tracking Call ID: ${callId} after ${config.tracking.maxAgeHours} hours`);
+    }
+  }
+
+  if (expired > 0) {
+    saveTrackedCalls();
+  }
+}
+
+/**
+ * Refreshes every tracked call through the registered callback
+ * @param {string} reason - Why the refresh is happening (for logging)
+ * @returns {Promise<void>}
+ */
+async function refreshTrackedCalls(reason) {
+  if (!refreshCallback || trackedCalls.size === 0) {
+    return;
+  }
+
+  logger.debug(`Refreshing ${trackedCalls.size} tracked calls (${reason})`);
+
+  for (const entry of [...trackedCalls.values()]) {
+    try {
+      await refreshCallback(entry.callData, reason);
+    } catch (error) {
+      logger.warn(`Failed to refresh Call ID: ${entry.callData.CallId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Schedules a refresh of all tracked calls, coalescing bursts of events
+ * (e.g. several units changing status at once) into a single pass
+ * @param {string} reason - Why the refresh is happening (for logging)
+ */
+function scheduleRefresh(reason) {
+  if (pendingRefresh) {
+    return;
+  }
+
+  pendingRefresh = setTimeout(() => {
+    pendingRefresh = null;
+    refreshTrackedCalls(reason);
+  }, config.tracking.debounce);
+}
+
+/**
+ * Starts the fallback poll for tracked calls
+ * @param {Function} refresh - Async function called with (callData, reason) for each tracked call
+ * @returns {Object} Handle with a stop() method
+ */
+function startCallTracker(refresh) {
+  refreshCallback = refresh;
+  expireTrackedCalls();
+
+  const timer = setInterval(() => {
+    expireTrackedCalls();
+    refreshTrackedCalls('poll');
+  }, config.tracking.refreshInterval);
+
+  logger.info(`Call tracker started (polling open calls every ${config.tracking.refreshInterval / 1000}s)`);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      if (pendingRefresh) {
+        clearTimeout(pendingRefresh);
+        pendingRefresh = null;
+      }
+    }
+  };
+}
+
+loadTrackedCalls();
+
+module.exports = {
+  getEventCallId,
+  trackCall,
+  untrackCall,
+  getTrackedCall,
+  scheduleRefresh,
+  startCallTracker
+};
@@ -0,0 +1,198 @@
+/**
+ * Catch-up reconciliation for the Resgrid ESO Bridge
+ *
+ * SignalR only delivers events while connected, so calls added during an
+ * outage (or while the bridge is redeploying) would never reach ESO. Every
+ * processed call is recorded together with a high-water mark (the newest
+ * LoggedOn time seen). On startup and after every reconnect the gap since the
+ * high-water mark is queried from Resgrid and any call not yet processed is
+ * sent through the normal pipeline.
+ */
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { getRecentCalls } = require('./resgrid-api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// { highWaterMark: ISO time, processedCalls: { [callId]: ISO LoggedOn time } }
+let state = { highWaterMark: null, processedCalls: {} };
+let running = false;
+
+// Reason for a catch-up requested while one was running, if any
+let rerunReason = null;
+
+/**
+ * Gets the time a call was logged
+ * @param {Object} call - Call data
+ * @returns {number} Milliseconds since the epoch (NaN if unknown)
+ */
+function getLoggedOn(call) {
+  return new Date(call.LoggedOn || call.LoggedOnUtc || call.Timestamp).getTime();
+}
+
+/**
+ * Loads the catch-up state saved by a previous run
+ */
+function loadState() {
+  try {
+    state = { processedCalls: {}, ...JSON.parse(fs.readFileSync(config.catchUp.stateFile, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read catch-up state, starting fresh: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Saves the catch-up state atomically (temp file + rename)
+ */
+function saveState() {
+  fs.mkdirSync(path.dirname(config.catchUp.stateFile), { recursive: true });
+  const tmpPath = `${config.catchUp.stateFile}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, config.catchUp.stateFile);
+}
+
+/**
+ * Drops processed calls older than the catch-up window
+ */
+function pruneProcessedCalls() {
+  const cutoff = Date.now() - (config.catchUp.maxDays + 1) * DAY_MS;
+
+  for (const [callId, loggedOn] of Object.entries(state.processedCalls)) {
+    if (new Date(loggedOn).getTime() < cutoff) {
+      delete state.processedCalls[callId];
+    }
+  }
+}
+
+/**
+ * Records that a call has been processed and advances the high-water mark
+ * @param {Object} call - Call data (must include CallId)
+ */
+function recordProcessedCall(call) {
+  const loggedOnMs = getLoggedOn(call);
+  const loggedOn = new Date(isNaN(loggedOnMs) ? Date.now() : loggedOnMs).toISOString();
+
+  state.processedCalls[String(call.CallId)] = loggedOn;
+  if (!state.highWaterMark || loggedOn > state.highWaterMark) {
+    state.highWaterMark = loggedOn;
+  }
+
+  pruneProcessedCalls();
+
+  try {
+    saveState();
+  } catch (error) {
+    logger.warn(`Unable to save catch-up state: ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether a call has already been processed
+ * @param {string} callId - Call ID
+ * @returns {boolean} True if the call was processed before
+ */
+function isProcessed(callId) {
+  return Object.prototype.hasOwnProperty.call(state.processedCalls, String(callId));
+}
+
+/**
+ * Queries Resgrid for calls logged since the high-water mark and processes the
+ * ones that were missed
+ * @param {Function} processMissedCall - Async function called with each missed call
+ * @param {string} reason - Why the catch-up is running (for logging)
+ * @returns {Promise<Object>} Summary with checked and processed counts
+ */
+async function catchUpOnce(processMissedCall, reason) {
+  const summary = { checked: 0, processed: 0 };
+
+  try {
+    const now = Date.now();
+
+    if (!state.highWaterMark) {
+      // First run: nothing to catch up on, start tracking from now
+      state.highWaterMark = new Date(now).toISOString();
+      saveState();
+      logger.info('No catch-up high-water mark yet, calls will be reconciled from now on');
+      return summary;
+    }
+
+    // Look back slightly past the high-water mark to cover clock skew, but never
+    // further than the catch-up window
+    const since = Math.max(
+      new Date(state.highWaterMark).getTime() - config.catchUp.overlapMinutes * 60 * 1000,
+      now - config.catchUp.maxDays * DAY_MS
+    );
+    const days = Math.max(Math.ceil((now - since) / DAY_MS), 1);
+
+    logger.info(`Catch-up (${reason}): checking calls logged since ${new Date(since).toISOString()}`);
+
+    const calls = await getRecentCalls(days);
+    const missed = calls
+      .filter(call => call.CallId && getLoggedOn(call) >= since && !isProcessed(call.CallId))
+      .sort((a, b) => getLoggedOn(a) - getLoggedOn(b));
+
+    summary.checked = calls.length;
+
+    for (const call of missed) {
+      logger.warn(`Catch-up: Call ID: ${call.CallId} was missed while disconnected, processing it now`);
+      try {
+        const result = await processMissedCall(call);
+        if (result && result.error) {
+          throw result.error;
+        }
+        summary.processed++;
+      } catch (error) {
+        logger.error(`Catch-up failed for Call ID: ${call.CallId}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Catch-up (${reason}) complete: ${summary.checked} calls checked, ${summary.processed} missed calls processed`);
+  } catch (error) {
+    logger.error(`Catch-up (${reason}) failed: ${error.message}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Runs a catch-up. A catch-up requested while one is running (e.g. after a
+ * second reconnect) runs again once it finishes, from the updated high-water mark.
+ * @param {Function} processMissedCall - Async function called with each missed
+ *   call, resolving with the processing result (with error when it failed)
+ * @param {string} reason - Why the catch-up is running (for logging)
+ * @returns {Promise<Object>} Summary with checked and processed counts, over
+ *   every run (empty when the request was left to the running catch-up)
+ */
+async function runCatchUp(processMissedCall, reason) {
+  const summary = { checked: 0, processed: 0 };
+
+  if (running) {
+    rerunReason = reason;
+    logger.info(`Catch-up (${reason}) requested while another is running, it will run once that one finishes`);
+    return summary;
+  }
+  running = true;
+
+  try {
+    let next = reason;
+    while (next) {
+      rerunReason = null;
+      const result = await catchUpOnce(processMissedCall, next);
+      summary.checked += result.checked;
+      summary.processed += result.processed;
+      next = rerunReason;
+    }
+  } finally {
+    running = false;
+  }
+
+  return summary;
+}
+
+loadState();
+
+module.exports = { recordProcessedCall, isProcessed, runCatchUp };
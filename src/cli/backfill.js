@@ -0,0 +1,130 @@
+/**
+ * bridge backfill - sends the calls logged in a date range
+ * Replaces fetch-existing-calls.js, fixed-fetch-existing-calls.js and
+ * final-with-sheets-fix.js.
+ */
+const dateRange = require('./date-range');
+const { describeIncidents, describeDelivery } = require('./format');
+
+const usage = `Usage: bridge backfill [--days=N | --from=WHEN [--to=WHEN]] [--force] [--queue-only]
+
+Fetches every call logged in the range from Resgrid, renders and validates
+it, and queues it for every destination; then delivers the queue.
+Calls already delivered to every destination are skipped, and so are
+incidents a destination already has.
+
+The range is fetched in windows of --window-hours, and --concurrency calls
+are processed at once (Resgrid requests are limited to RESGRID_RATE_LIMIT per
+second). Progress is saved after every call: running the same backfill again
+after an interruption resumes where it stopped.
+
+Options:
+${dateRange.usage}
+  --force             Send calls again even if destinations already have them
+  --queue-only        Only queue the incidents; the running bridge delivers them
+  --concurrency=N     Calls processed at once (default: BACKFILL_CONCURRENCY or 2)
+  --window-hours=N    Hours of calls fetched per request (default: BACKFILL_WINDOW_HOURS or 24)
+  --restart           Start from the beginning instead of resuming`;
+
+const options = {
+  ...dateRange.options,
+  force: { type: 'boolean', default: false },
+  'queue-only': { type: 'boolean', default: false },
+  concurrency: { type: 'string' },
+  'window-hours': { type: 'string' },
+  restart: { type: 'boolean', default: false }
+};
+
+/**
+ * Parses an optional whole-number option
+ * @param {string} [value] - Option value
+ * @returns {number|undefined|null} The number, undefined when not given, or null when invalid
+ */
+function parseCount(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 1 ? count : null;
+}
+
+/**
+ * Runs a backfill
+ * @param {Array<string>} positionals - Arguments (none)
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Exit code (1 if any call failed)
+ */
+async function run(positionals, values, context) {
+  if (positionals.length > 0) {
+    return context.usageError(`Unexpected argument "${positionals[0]}"`);
+  }
+
+  const range = dateRange.parseDateRange(values);
+  if (range.error) {
+    return context.usageError(range.error);
+  }
+
+  const concurrency = parseCount(values.concurrency);
+  const windowHours = parseCount(values['window-hours']);
+  if (concurrency === null || windowHours === null) {
+    return context.usageError(`--${concurrency === null ? 'concurrency' : 'window-hours'} must be a whole number (1 or more)`);
+  }
+
+  const { runBackfill } = require('../backfill');
+  const { deliverDueItems } = require('../delivery');
+
+  // Previews are listed per call; otherwise only failures are worth a line
+  const calls = [];
+  const onCall = (call, result) => {
+    const entry = {
+      callId: call.CallId,
+      loggedOn: call.LoggedOn,
+      queued: result.queued,
+      skipped: result.skipped,
+      error: result.error ? result.error.message : undefined,
+      errors: result.errors && result.errors.length > 0 ? result.errors : undefined,
+      incidents: result.incidents && result.incidents.map(({ xml, ...incident }) => incident)
+    };
+    calls.push(entry);
+  };
+
+  const summary = await runBackfill({
+    from: range.from,
+    to: range.to,
+    force: values.force,
+    dryRun: context.dryRun,
+    restart: values.restart,
+    concurrency,
+    windowHours,
+    onCall
+  });
+  const delivery = context.dryRun || values['queue-only'] ? undefined : await deliverDueItems();
+
+  context.output({ ...range, dryRun: context.dryRun, force: values.force, summary, delivery, calls }, () => {
+    const lines = [];
+    for (const call of calls) {
+      if (context.dryRun) {
+        const note = call.skipped ? ': already delivered, skipped' : (call.error ? `: ${call.error}` : '');
+        lines.push(`Call ${call.callId}${call.loggedOn ? ` (${call.loggedOn})` : ''}${note}`);
+        lines.push(...(call.incidents ? describeIncidents(call.incidents) : []));
+      } else if (call.error || call.errors) {
+        lines.push(`Call ${call.callId} failed: ${call.error || call.errors.join('; ')}`);
+      }
+    }
+
+    const queued = context.dryRun ? 'would be queued' : 'queued';
+    if (summary.resumed) {
+      lines.push('Resumed an interrupted backfill of this range (use --restart to start over)');
+    }
+    lines.push(`Backfill ${range.from} to ${range.to}: ${summary.calls} calls, ${summary.queued} ${queued}, ${summary.unchanged} unchanged, ${summary.skipped} already delivered, ${summary.failed} failed`);
+    if (delivery) {
+      lines.push(describeDelivery(delivery));
+    }
+    return lines.join('\n');
+  });
+
+  return summary.failed > 0 || (delivery && delivery.failed > 0) ? 1 : 0;
+}
+
+module.exports = { usage, options, run };
@@ -0,0 +1,60 @@
+/**
+ * Date range options shared by the bridge commands that work on past calls
+ */
+
+const DEFAULT_DAYS = 7;
+
+const options = {
+  days: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' }
+};
+
+const usage = `  --days=N            Calls logged in the last N days (default: ${DEFAULT_DAYS})
+  --from=WHEN         Start of the range (instead of --days): a day (YYYY-MM-DD)
+                      or a time (YYYY-MM-DDTHH:MM[:SS], UTC unless a zone is given)
+  --to=WHEN           End of the range, the whole day when a day is given
+                      (default: today)`;
+
+/**
+ * Formats a date as YYYY-MM-DD (UTC, as the Resgrid API expects)
+ * @param {Date} date - Date
+ * @returns {string} Day
+ */
+function toDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Works out the date range from --days or --from/--to
+ * @param {Object} values - Parsed options
+ * @returns {Object} Range with from and to (days or timestamps), or an error message
+ */
+function parseDateRange(values) {
+  const { checkDateRange } = require('../backfill');
+
+  if (values.days !== undefined && (values.from !== undefined || values.to !== undefined)) {
+    return { error: 'Use either --days or --from/--to, not both' };
+  }
+
+  let from = values.from;
+  let to = values.to || toDay(new Date());
+
+  if (from === undefined) {
+    if (values.to !== undefined) {
+      return { error: '--to needs --from' };
+    }
+    const days = values.days === undefined ? DEFAULT_DAYS : Number(values.days);
+    if (!Number.isInteger(days) || days < 1) {
+      return { error: '--days must be a whole number of days (1 or more)' };
+    }
+    const start = new Date();
+    start.setDate(start.getDate() - days);
+    from = toDay(start);
+  }
+
+  const errors = checkDateRange(from, to);
+  return errors.length > 0 ? { error: errors.join('; ').replace(/"(from|to)"/g, '--$1') } : { from, to };
+}
+
+module.exports = { options, usage, parseDateRange };
@@ -0,0 +1,86 @@
+/**
+ * bridge export - writes calls to the Google Sheets call log
+ * Replaces export-calls-to-sheets.js and export-calls-to-sheets-enhanced.js.
+ */
+const dateRange = require('./date-range');
+
+const usage = `Usage: bridge export [--active | --days=N | --from=YYYY-MM-DD [--to=YYYY-MM-DD]]
+
+Fetches calls from Resgrid and writes one row per call to the Google Sheets
+call log (the same row the bridge writes after a delivery). Nothing is sent
+to ESO. With --dry-run the rows are printed instead of written.
+
+Options:
+  --active            Only the open (active) calls
+${dateRange.usage}`;
+
+const options = {
+  ...dateRange.options,
+  active: { type: 'boolean', default: false }
+};
+
+/**
+ * Exports calls to Google Sheets
+ * @param {Array<string>} positionals - Arguments (none)
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Exit code (1 if any call couldn't be exported)
+ */
+async function run(positionals, values, context) {
+  if (positionals.length > 0) {
+    return context.usageError(`Unexpected argument "${positionals[0]}"`);
+  }
+
+  let range = null;
+  if (values.active) {
+    if (values.days !== undefined || values.from !== undefined || values.to !== undefined) {
+      return context.usageError('Use either --active or a date range, not both');
+    }
+  } else {
+    range = dateRange.parseDateRange(values);
+    if (range.error) {
+      return context.usageError(range.error);
+    }
+  }
+
+  const { logger } = require('../logger');
+  const { getActiveCalls, getCallsInDateRange } = require('../resgrid-api');
+  const { fetchCallData, buildCallDataForXml } = require('../call-processor');
+  const { sheetCallRow } = require('../sheets-logger');
+
+  const calls = (range ? await getCallsInDateRange(range.from, range.to) : await getActiveCalls()).filter(call => call.CallId);
+  logger.info(`Exporting ${calls.length} calls to Google Sheets${context.dryRun ? ' (dry run)' : ''}`);
+
+  const rows = [];
+  const failures = [];
+  for (const call of calls) {
+    try {
+      const { call: callData, callExtraData } = await fetchCallData(call);
+      const row = buildCallDataForXml(callData, callExtraData);
+
+      if (!context.dryRun && !(await sheetCallRow(row, callExtraData))) {
+        throw new Error('Google Sheets did not accept the row (is Sheets logging configured?)');
+      }
+      rows.push(row);
+    } catch (error) {
+      logger.error(`Unable to export Call ID: ${call.CallId}: ${error.message}`);
+      failures.push({ callId: call.CallId, error: error.message });
+    }
+  }
+
+  const source = range ? `calls from ${range.from} to ${range.to}` : 'active calls';
+  context.output({ source, dryRun: context.dryRun, calls: calls.length, exported: context.dryRun ? 0 : rows.length, rows: context.dryRun ? rows : undefined, failures }, () => {
+    const lines = context.dryRun
+      ? rows.map(row => `${row.CallId}  ${row.Timestamp}  ${row.Nature}  ${row.Address}  [${row.UnitsCsv}]`)
+      : [];
+    lines.push(...failures.map(failure => `Call ${failure.callId} failed: ${failure.error}`));
+    lines.push(context.dryRun
+      ? `${rows.length} of ${calls.length} ${source} would be exported`
+      : `Exported ${rows.length} of ${calls.length} ${source} to Google Sheets`);
+    return lines.join('\n');
+  });
+
+  return failures.length > 0 ? 1 : 0;
+}
+
+module.exports = { usage, options, run };
@@ -0,0 +1,44 @@
+/**
+ * Text formatting shared by the bridge commands
+ */
+
+/**
+ * Describes what would happen to each rendered incident of a call
+ * @param {Array<Object>} incidents - Incidents from renderCall
+ * @returns {Array<string>} One line per incident
+ */
+function describeIncidents(incidents) {
+  if (incidents.length === 0) {
+    return ['  (no incidents: the call has no responding units)'];
+  }
+
+  return incidents.map(incident => {
+    const label = incident.unit ? `unit ${incident.unit}` : '(no unit)';
+    if (!incident.valid) {
+      return `  ${label}: INVALID - ${incident.errors.join('; ')}`;
+    }
+    const plan = incident.destinations.map(d => `${d.destination}: ${d.action}`).join(', ');
+    return `  ${label}: ${plan || 'no matching destination'}`;
+  });
+}
+
+/**
+ * Formats the result of delivering the outbox
+ * @param {Object} delivery - Summary from deliverDueItems
+ * @returns {string} Summary line
+ */
+function describeDelivery(delivery) {
+  const parts = [`${delivery.sent} sent`, `${delivery.skipped} already sent`, `${delivery.failed} failed`];
+  if (delivery.superseded > 0) {
+    parts.push(`${delivery.superseded} superseded by newer documents`);
+  }
+  if (delivery.deadLettered > 0) {
+    parts.push(`${delivery.deadLettered} dead-lettered`);
+  }
+  if (delivery.deferred > 0) {
+    parts.push(`${delivery.deferred} not attempted after a failure`);
+  }
+  return `Delivery: ${parts.join(', ')}${delivery.failed + delivery.deferred > 0 ? ' (failed uploads stay queued and are retried by the running bridge)' : ''}`;
+}
+
+module.exports = { describeIncidents, describeDelivery };
@@ -0,0 +1,187 @@
+/**
+ * Command line interface for the Resgrid ESO Bridge
+ *
+ * Parses the shared options, loads the configuration and runs a command from
+ * this directory. Each command module exports:
+ *   usage    - usage and options text for `bridge help <command>`
+ *   options  - util.parseArgs option definitions, on top of the shared ones
+ *   run      - async (positionals, options, context) => exit code
+ * The src/ modules read their configuration when they are first required, so
+ * commands require them inside run(): --config is applied first, and help
+ * works without any configuration.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Commands and their summaries, in the order they are listed
+const COMMANDS = {
+  listen: 'Run the bridge: receive calls from Resgrid and deliver them',
+  backfill: 'Send the calls logged in a date range',
+  resend: 'Fetch, render and send a call again',
+  render: 'Show the ESO XML a call renders to, without sending it',
+  export: 'Write calls to the Google Sheets call log',
+  units: 'Show the current status of units',
+  validate: 'Check the configuration, or validate CadIncident XML files',
+  shadow: 'Compare a shadow run\'s output with what production sent'
+};
+const FORMATS = ['text', 'json'];
+
+// Options every command accepts
+const SHARED_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  'dry-run': { type: 'boolean', default: false },
+  format: { type: 'string', default: 'text' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const SHARED_USAGE = `Shared options:
+  -c, --config=FILE   Load environment variables from FILE instead of .env
+                      (variables already set in the environment win)
+  --dry-run           Show what would be queued, sent or written without doing it
+  --format=FORMAT     Output format: text (default) or json
+  -h, --help          Show help`;
+
+/**
+ * Loads a command module
+ * @param {string} name - Command name
+ * @returns {Object} Command module
+ */
+function loadCommand(name) {
+  return require(`./${name}`);
+}
+
+/**
+ * Prints the list of commands
+ */
+function printOverview() {
+  console.log('Usage: bridge <command> [options]\n');
+  console.log('Commands:');
+  for (const [name, summary] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(10)}${summary}`);
+  }
+  console.log(`\n${SHARED_USAGE}\n`);
+  console.log('Run `bridge help <command>` for the options of a command.');
+}
+
+/**
+ * Prints a command's usage
+ * @param {string} name - Command name
+ * @param {Object} command - Command module
+ * @param {Function} [print=console.log] - Where to print
+ */
+function printUsage(name, command, print = console.log) {
+  print(`${COMMANDS[name]}\n\n${command.usage}\n\n${SHARED_USAGE}`);
+}
+
+/**
+ * Creates the context passed to a command
+ * @param {string} name - Command name
+ * @param {Object} command - Command module
+ * @param {Object} values - Parsed options
+ * @returns {Object} Context with the shared options and output helpers
+ */
+function createContext(name, command, values) {
+  const format = values.format;
+
+  return {
+    dryRun: values['dry-run'],
+    format,
+    /**
+     * Prints a result: as JSON, or through formatText for the text format
+     * @param {*} data - Result
+     * @param {Function} formatText - Returns the text for the result
+     */
+    output(data, formatText) {
+      console.log(format === 'json' ? JSON.stringify(data, null, 2) : formatText(data));
+    },
+    /**
+     * Reports a mistake in the command line
+     * @param {string} message - What is wrong
+     * @returns {number} Exit code for usage errors
+     */
+    usageError(message) {
+      console.error(`${message}\n`);
+      printUsage(name, command, console.error);
+      return 2;
+    }
+  };
+}
+
+/**
+ * Runs the CLI and exits with the command's exit code
+ * Long-running commands (listen) never return, so the process keeps running.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<void>}
+ */
+async function run(argv) {
+  let name = argv[0];
+  let args = argv.slice(1);
+
+  if (name === 'help') {
+    name = args[0];
+    args = ['--help'];
+  }
+
+  if (!name || name === '--help' || name === '-h') {
+    printOverview();
+    process.exit(0);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, name)) {
+    console.error(`Unknown command "${name}"\n`);
+    printOverview();
+    process.exit(2);
+  }
+
+  // Logs go to stderr so stdout only carries the command's output
+  process.env.LOG_STREAM = 'stderr';
+
+  // The configuration file has to be loaded before any src/ module is
+  const early = parseArgs({ args, options: SHARED_OPTIONS, strict: false, allowPositionals: true }).values;
+  if (typeof early.config === 'string') {
+    const configPath = path.resolve(early.config);
+    if (!fs.existsSync(configPath)) {
+      console.error(`Configuration file not found: ${configPath}`);
+      process.exit(2);
+    }
+    require('dotenv').config({ path: configPath });
+  }
+
+  const command = loadCommand(name);
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: { ...SHARED_OPTIONS, ...command.options }, allowPositionals: true });
+  } catch (error) {
+    process.exit(createContext(name, command, {}).usageError(error.message));
+  }
+
+  if (parsed.values.help) {
+    printUsage(name, command);
+    process.exit(0);
+  }
+
+  const context = createContext(name, command, parsed.values);
+  if (!FORMATS.includes(parsed.values.format)) {
+    process.exit(context.usageError(`Unknown format "${parsed.values.format}" (expected ${FORMATS.join(' or ')})`));
+  }
+
+  let code;
+  try {
+    code = await command.run(parsed.positionals, parsed.values, context);
+  } catch (error) {
+    console.error(`${name} failed: ${error.message}`);
+    code = 1;
+  }
+
+  // Close any transport connections the command opened
+  try {
+    await require('../transports').closeTransports();
+  } catch (error) {
+    // Nothing to close when the destinations couldn't be loaded
+  }
+  process.exit(code);
+}
+
+module.exports = { run };
@@ -0,0 +1,33 @@
+/**
+ * bridge listen - runs the bridge (the same service as node listener.js)
+ */
+
+const usage = `Usage: bridge listen
+
+Receives calls from Resgrid (see INGEST_MODE) and delivers them to every
+destination until stopped with Ctrl+C or SIGTERM.`;
+
+const options = {};
+
+/**
+ * Starts the bridge service
+ * @param {Array<string>} positionals - Arguments (none)
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Never resolves; the service exits on its own
+ */
+function run(positionals, values, context) {
+  if (positionals.length > 0) {
+    return Promise.resolve(context.usageError(`Unexpected argument "${positionals[0]}"`));
+  }
+  if (context.dryRun) {
+    return Promise.resolve(context.usageError('listen does not support --dry-run'));
+  }
+
+  // The listener logs to stdout like `node listener.js` does
+  delete process.env.LOG_STREAM;
+  require('../index');
+  return new Promise(() => {});
+}
+
+module.exports = { usage, options, run };
@@ -0,0 +1,56 @@
+/**
+ * bridge render - shows the ESO XML a call renders to, without sending it
+ */
+const { describeIncidents } = require('./format');
+
+const usage = `Usage: bridge render <callId> [--unit=NAME]
+
+Fetches the call from Resgrid and prints the CadIncident XML generated for
+each responding unit, with its validation result and whether each
+destination would be sent it. Nothing is queued or sent.
+
+Options:
+  --unit=NAME         Only show the incident for this unit`;
+
+const options = {
+  unit: { type: 'string' }
+};
+
+/**
+ * Renders a call
+ * @param {Array<string>} positionals - Call ID
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Exit code (1 if an incident is invalid or the unit isn't on the call)
+ */
+async function run(positionals, values, context) {
+  if (positionals.length !== 1) {
+    return context.usageError(positionals.length === 0 ? 'A call ID is required' : 'Only one call ID can be given');
+  }
+
+  const { renderCall } = require('../call-processor');
+
+  const callId = positionals[0];
+  const rendered = await renderCall({ CallId: callId });
+  const incidents = values.unit === undefined
+    ? rendered.incidents
+    : rendered.incidents.filter(incident => incident.unit.toLowerCase() === values.unit.toLowerCase());
+
+  if (incidents.length === 0 && values.unit !== undefined) {
+    const units = rendered.incidents.map(incident => incident.unit).filter(Boolean);
+    console.error(`Unit ${values.unit} is not responding to Call ${callId}${units.length > 0 ? ` (units: ${units.join(', ')})` : ''}`);
+    return 1;
+  }
+
+  context.output({ callId, call: rendered.call, callExtraData: rendered.callExtraData, incidents }, () => incidents
+    .map(incident => [
+      `<!-- Call ${callId}${incident.unit ? ` unit ${incident.unit}` : ''} -->`,
+      ...describeIncidents([incident]).map(line => `<!-- ${line.trim().replace(/--/g, '- -')} -->`),
+      incident.xml
+    ].join('\n'))
+    .join('\n\n'));
+
+  return incidents.every(incident => incident.valid) ? 0 : 1;
+}
+
+module.exports = { usage, options, run };
@@ -0,0 +1,85 @@
+/**
+ * bridge resend - fetches, renders and sends a call again
+ */
+const { describeIncidents, describeDelivery } = require('./format');
+
+const usage = `Usage: bridge resend <callId> [--changed-only] [--destination=NAME ...] [--queue-only]
+
+Fetches the call from Resgrid, renders it and queues it for delivery again,
+then delivers the queue. Destinations get the incidents even if they already
+have them, unless --changed-only is given.
+
+Options:
+  --changed-only      Skip incidents a destination already has
+  --destination=NAME  Only send to this destination (repeatable)
+  --queue-only        Only queue the incidents; the running bridge delivers them`;
+
+const options = {
+  'changed-only': { type: 'boolean', default: false },
+  destination: { type: 'string', multiple: true },
+  'queue-only': { type: 'boolean', default: false }
+};
+
+/**
+ * Resends a call
+ * @param {Array<string>} positionals - Call ID
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Exit code (1 if the call couldn't be processed or delivered)
+ */
+async function run(positionals, values, context) {
+  if (positionals.length !== 1) {
+    return context.usageError(positionals.length === 0 ? 'A call ID is required' : 'Only one call ID can be given');
+  }
+
+  const { getDestination } = require('../transports');
+  const { processCall, renderCall } = require('../call-processor');
+  const { deliverDueItems } = require('../delivery');
+
+  const callId = positionals[0];
+  const force = !values['changed-only'];
+  const destinations = values.destination;
+
+  for (const name of destinations || []) {
+    try {
+      getDestination(name);
+    } catch (error) {
+      return context.usageError(error.message);
+    }
+  }
+
+  if (context.dryRun) {
+    const { incidents } = await renderCall({ CallId: callId }, { destinations, force });
+    const preview = incidents.map(({ xml, ...incident }) => incident);
+    context.output({ callId, dryRun: true, incidents: preview }, () => [`Call ${callId} (dry run):`, ...describeIncidents(preview)].join('\n'));
+    return preview.every(incident => incident.valid) ? 0 : 1;
+  }
+
+  const result = await processCall({ CallId: callId }, { trigger: 'Resend', force, destinations });
+  if (result.error) {
+    console.error(`Unable to process Call ID ${callId}: ${result.error.message}`);
+    return 1;
+  }
+
+  const delivery = result.queued && !values['queue-only'] ? await deliverDueItems() : undefined;
+  const items = (result.items || []).map(item => ({ id: item.id, unit: item.unit || '', destination: item.destination, filename: item.filename }));
+  const errors = result.errors && result.errors.length > 0 ? result.errors : undefined;
+
+  context.output({ callId, queued: result.queued, items, errors, delivery }, () => {
+    const lines = items.map(item => `Queued ${item.unit ? `unit ${item.unit}` : 'call'} for ${item.destination} as ${item.filename}`);
+    if (!result.queued) {
+      lines.push(`Nothing queued for Call ${callId}${errors ? '' : ' (every destination already has it)'}`);
+    }
+    if (errors) {
+      lines.push(`Invalid incidents were dead-lettered: ${errors.join('; ')}`);
+    }
+    if (delivery) {
+      lines.push(describeDelivery(delivery));
+    }
+    return lines.join('\n');
+  });
+
+  return errors || (delivery && delivery.failed > 0) ? 1 : 0;
+}
+
+module.exports = { usage, options, run };
@@ -0,0 +1,86 @@
+/**
+ * bridge shadow report - compares a shadow run's output with what production sent
+ */
+
+const usage = `Usage: bridge shadow report [CALLID ...] [--since=WHEN] [--destination=NAME] [--all]
+
+Run with the shadow's configuration (SHADOW_MODE=true). For every call and
+unit, compares the latest CadIncident document the shadow produced with the
+latest one production sent, and lists the elements that differ while both
+documents are still kept (OUTBOX_SENT_RETENTION_DAYS). Production's ledger
+and outbox are read from LEDGER_FILE and OUTBOX_DIR (default: DATA_DIR).
+Give call IDs to only compare those calls.
+
+Options:
+  --since=WHEN        Only compare sends from this day (YYYY-MM-DD) or time
+                      (default: when the shadow first sent a document)
+  --destination=NAME  Production destination to compare with (default: the first)
+  --all               Also list the incidents that match
+
+Exits with 1 when any incident differs or was only produced by one side.`;
+
+const options = {
+  since: { type: 'string' },
+  destination: { type: 'string' },
+  all: { type: 'boolean', default: false }
+};
+
+/**
+ * Formats the report as text
+ * @param {Object} report - Shadow report
+ * @param {boolean} all - Whether to list matching incidents
+ * @returns {string} Report text
+ */
+function formatReport(report, all) {
+  const { summary } = report;
+  const lines = [
+    `Shadow ${report.shadowDestination} compared with production ${report.productionDestination}${report.since ? ` since ${report.since}` : ''}`
+  ];
+
+  for (const incident of report.incidents.filter(i => all || i.status !== 'same')) {
+    lines.push(`  Call ${incident.callId}${incident.unit ? ` unit ${incident.unit}` : ''}: ${incident.status}`);
+    if (incident.shadowError) {
+      lines.push(`    shadow dead-lettered it (${incident.shadowError})`);
+    }
+    if (incident.differences === null) {
+      lines.push('    documents no longer kept, only their hashes were compared');
+    }
+    for (const difference of incident.differences || []) {
+      lines.push(`    ${difference.element}: ${JSON.stringify(difference.production)} -> ${JSON.stringify(difference.shadow)}`);
+    }
+  }
+
+  lines.push(`${summary.compared} compared: ${summary.same} same, ${summary.different} different, ${summary.shadowOnly} shadow only, ${summary.productionOnly} production only`);
+  return lines.join('\n');
+}
+
+/**
+ * Compares the shadow's output with production's
+ * @param {Array<string>} positionals - 'report' and optional call IDs
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Exit code (1 if anything differs)
+ */
+async function run(positionals, values, context) {
+  const [subcommand, ...callIds] = positionals;
+  if (subcommand !== 'report') {
+    return context.usageError(subcommand ? `Unknown shadow command "${subcommand}"` : 'Expected: bridge shadow report');
+  }
+
+  const { parseRangeBound } = require('../backfill');
+  let since;
+  if (values.since !== undefined) {
+    since = parseRangeBound(values.since, false);
+    if (!since) {
+      return context.usageError('--since must be a date (YYYY-MM-DD) or timestamp (YYYY-MM-DDTHH:MM:SSZ)');
+    }
+  }
+
+  const { compareWithProduction } = require('../shadow');
+  const report = compareWithProduction({ since, callIds, destination: values.destination });
+
+  context.output(report, data => formatReport(data, values.all));
+  return report.summary.compared === report.summary.same ? 0 : 1;
+}
+
+module.exports = { usage, options, run };
@@ -0,0 +1,110 @@
+/**
+ * bridge units status - shows the current status of units
+ * Replaces confirm-stn1-status.js and monitor-stn1-status-fixed.js.
+ */
+
+const DEFAULT_INTERVAL = 30;
+
+const usage = `Usage: bridge units status [UNIT ...] [--watch [--interval=SECONDS]]
+
+Shows each unit's current Resgrid status, named with the department's status
+definitions. Give unit names to only show those units.
+
+Options:
+  --watch             Keep checking and print units whose status changed
+  --interval=SECONDS  How often --watch checks (default: ${DEFAULT_INTERVAL})`;
+
+const options = {
+  watch: { type: 'boolean', default: false },
+  interval: { type: 'string' }
+};
+
+/**
+ * Fetches the status of the selected units
+ * @param {Array<string>} names - Unit names to show (all when empty)
+ * @returns {Promise<Array<Object>>} Unit statuses
+ */
+async function fetchStatuses(names) {
+  const { getUnitStatuses } = require('../resgrid-api');
+  const { getStatusText } = require('../unit-statuses');
+  const wanted = names.map(name => name.toLowerCase());
+
+  return (await getUnitStatuses())
+    .filter(status => wanted.length === 0 || wanted.includes(String(status.UnitName || '').toLowerCase()))
+    .map(status => ({
+      unitId: status.UnitId,
+      unit: status.UnitName || String(status.UnitId),
+      statusId: status.StatusId,
+      status: status.StatusText || getStatusText(status.StatusId) || 'Unknown',
+      since: status.Timestamp || null
+    }))
+    .sort((a, b) => a.unit.localeCompare(b.unit));
+}
+
+/**
+ * Formats unit statuses as a table
+ * @param {Array<Object>} statuses - Unit statuses
+ * @returns {string} Table
+ */
+function formatStatuses(statuses) {
+  const width = Math.max(4, ...statuses.map(status => status.unit.length));
+  return statuses
+    .map(status => `${status.unit.padEnd(width)}  ${status.status} (${status.statusId})${status.since ? `  since ${status.since}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Shows unit statuses, once or continuously
+ * @param {Array<string>} positionals - 'status' and optional unit names
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Exit code (1 if a named unit wasn't found)
+ */
+async function run(positionals, values, context) {
+  const [subcommand, ...names] = positionals;
+  if (subcommand !== 'status') {
+    return context.usageError(subcommand ? `Unknown units command "${subcommand}"` : 'Expected: bridge units status');
+  }
+
+  const interval = values.interval === undefined ? DEFAULT_INTERVAL : Number(values.interval);
+  if (!(interval > 0)) {
+    return context.usageError('--interval must be a number of seconds');
+  }
+
+  // Name statuses the way the department defined them
+  await require('../unit-statuses').refreshStatusDefinitions();
+
+  const statuses = await fetchStatuses(names);
+  const missing = names.filter(name => !statuses.some(status => status.unit.toLowerCase() === name.toLowerCase()));
+  if (missing.length > 0) {
+    console.error(`Unknown unit(s): ${missing.join(', ')}`);
+  }
+
+  if (!values.watch) {
+    context.output(statuses, () => (statuses.length > 0 ? formatStatuses(statuses) : 'No units found'));
+    return missing.length > 0 ? 1 : 0;
+  }
+
+  // Watching prints one line (or one JSON object) per change, until stopped
+  const print = changed => {
+    for (const status of changed) {
+      console.log(context.format === 'json' ? JSON.stringify({ checkedAt: new Date().toISOString(), ...status }) : `${new Date().toISOString()}  ${formatStatuses([status])}`);
+    }
+  };
+  const last = new Map(statuses.map(status => [status.unitId, status.statusId]));
+  print(statuses);
+
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, interval * 1000));
+    try {
+      const current = await fetchStatuses(names);
+      const changed = current.filter(status => last.get(status.unitId) !== status.statusId);
+      changed.forEach(status => last.set(status.unitId, status.statusId));
+      print(changed);
+    } catch (error) {
+      console.error(`Unable to check unit statuses: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { usage, options, run };
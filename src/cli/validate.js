@@ -0,0 +1,84 @@
+/**
+ * bridge validate - checks the configuration, or validates CadIncident XML files
+ */
+const fs = require('fs');
+
+const usage = `Usage: bridge validate [FILE ...]
+
+Without files, checks the configuration: Resgrid credentials, ingest mode,
+the field mapping profile and the delivery destinations. With files,
+validates each one as a CadIncident document, as the bridge does before
+every upload. Exits with 1 when anything is invalid.`;
+
+const options = {};
+
+/**
+ * Checks the configuration
+ * Loading the configuration already exits on missing credentials or an
+ * unknown ingest mode; the mapping profile and destinations are checked when
+ * their modules load, which throws with every problem found.
+ * @returns {Array<Object>} Checks with name, ok flag and detail
+ */
+function checkConfiguration() {
+  const { config } = require('../config');
+  const checks = [
+    { name: 'Resgrid credentials', ok: true, detail: `user ${config.resgrid.username}` },
+    { name: 'Ingest mode', ok: true, detail: config.app.ingestMode }
+  ];
+
+  try {
+    require('../field-mapping');
+    checks.push({ name: 'Field mapping profile', ok: true, detail: `${config.mapping.file} (profile "${config.mapping.name || 'unnamed'}")` });
+  } catch (error) {
+    checks.push({ name: 'Field mapping profile', ok: false, detail: error.message });
+  }
+
+  try {
+    const { getDestinations } = require('../transports');
+    checks.push({ name: 'Destinations', ok: true, detail: getDestinations().map(d => `${d.name} (${d.type})`).join(', ') });
+  } catch (error) {
+    checks.push({ name: 'Destinations', ok: false, detail: error.message });
+  }
+
+  return checks;
+}
+
+/**
+ * Validates CadIncident XML files
+ * @param {Array<string>} files - Paths to XML files
+ * @returns {Array<Object>} Checks with name (the file), ok flag and detail
+ */
+function checkFiles(files) {
+  const { validateIncidentXml } = require('../xml-validator');
+
+  return files.map(file => {
+    let xml;
+    try {
+      xml = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return { name: file, ok: false, detail: `Unable to read file: ${error.message}` };
+    }
+    const { valid, errors } = validateIncidentXml(xml);
+    return { name: file, ok: valid, detail: valid ? 'valid CadIncident' : errors.join('; ') };
+  });
+}
+
+/**
+ * Runs the checks and prints the results
+ * @param {Array<string>} positionals - XML files (none to check the configuration)
+ * @param {Object} values - Parsed options
+ * @param {Object} context - CLI context
+ * @returns {Promise<number>} Exit code (1 if anything is invalid)
+ */
+async function run(positionals, values, context) {
+  const checks = positionals.length > 0 ? checkFiles(positionals) : checkConfiguration();
+  const valid = checks.every(check => check.ok);
+
+  context.output({ valid, checks }, () => checks
+    .map(check => `${check.ok ? 'OK     ' : 'INVALID'}  ${check.name}: ${check.detail}`)
+    .join('\n'));
+
+  return valid ? 0 : 1;
+}
+
+module.exports = { usage, options, run };
@@ -2,32 +2,238 @@
  * Centralized configuration for the Resgrid ESO Bridge
  */
 require('dotenv').config();
+const fs = require('fs');
 const path = require('path');
 
+/**
+ * Loads a Resgrid to ESO field-mapping profile (JSON)
+ * @param {string} filePath - Path to the profile
+ * @returns {Object} The parsed profile, with the resolved file path
+ */
+function loadMappingProfile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  try {
+    return { ...JSON.parse(fs.readFileSync(resolvedPath, 'utf8')), file: resolvedPath };
+  } catch (error) {
+    console.error(`Unable to load field mapping profile ${resolvedPath}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Loads delivery destinations from <variable>_FILE or <variable> (JSON)
+ * String values written as "${NAME}" are read from that environment variable,
+ * so secrets can stay out of the destinations JSON.
+ * @param {string} variable - Environment variable, e.g. DESTINATIONS
+ * @param {Array<Object>} defaults - Destinations used when neither variable is set
+ * @returns {Array<Object>} Destinations
+ */
+function loadDestinations(variable, defaults) {
+  let raw = process.env[variable];
+  let source = variable;
+
+  if (process.env[`${variable}_FILE`]) {
+    source = path.resolve(process.env[`${variable}_FILE`]);
+    try {
+      raw = fs.readFileSync(source, 'utf8');
+    } catch (error) {
+      console.error(`Unable to read destinations file ${source}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (!raw) {
+    return defaults;
+  }
+
+  try {
+    const destinations = JSON.parse(raw, (key, value) => {
+      const match = typeof value === 'string' && value.match(/^\$\{(\w+)\}$/);
+      return match ? (process.env[match[1]] || '') : value;
+    });
+    return Array.isArray(destinations) ? destinations : [destinations];
+  } catch (error) {
+    console.error(`Unable to parse destinations from ${source}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const dataDir = process.env.DATA_DIR || './data';
+
+// Shadow mode runs the whole pipeline without anything reaching production
+const shadowMode = process.env.SHADOW_MODE === 'true';
+const shadowDir = process.env.SHADOW_DIR || path.join(dataDir, 'shadow');
+
+/**
+ * Gets the path of a piece of persistent state (outbox, ledger, ...)
+ * In shadow mode all state lives under SHADOW_DIR, whatever its own variable
+ * says, so a shadow run never touches production's outbox or ledger.
+ * @param {string} variable - Environment variable that overrides the path
+ * @param {string} name - File or directory name under the data directory
+ * @returns {string} Path
+ */
+function statePath(variable, name) {
+  if (shadowMode) {
+    return path.join(shadowDir, name);
+  }
+  return process.env[variable] || path.join(dataDir, name);
+}
+
+const productionDestinations = loadDestinations('DESTINATIONS', [{ name: 'eso', type: 'sftp' }]);
+
 // Load configuration from environment variables
 const config = {
   resgrid: {
-    baseUrl: 'https://api.resgrid.com/api/v4',
-    eventsUrl: 'https://events.resgrid.com/eventingHub',
+    // Overridden to run against the offline simulator (test/simulator)
+    baseUrl: process.env.RESGRID_API_URL || 'https://api.resgrid.com/api/v4',
+    eventsUrl: process.env.RESGRID_EVENTS_URL || 'https://events.resgrid.com/eventingHub',
     username: process.env.RESGRID_USER,
     password: process.env.RESGRID_PASS,
-    tokenEndpoint: 'Connect/token'
+    tokenEndpoint: 'Connect/token',
+    // Most requests per second sent to the Resgrid API (0 for no limit)
+    rateLimit: parseFloat(process.env.RESGRID_RATE_LIMIT || '5')
   },
   sftp: {
     host: process.env.SFTP_HOST || 'sftp.esosuite.net',
     port: parseInt(process.env.SFTP_PORT || '22'),
     username: process.env.SFTP_USER || process.env.SFTP_USERNAME || 'CAD_12345',
     password: process.env.SFTP_PASS || process.env.SFTP_PASSWORD || '',
-    remotePath: process.env.SFTP_DIR || process.env.SFTP_REMOTE_PATH || '/incoming'
+    remotePath: process.env.SFTP_DIR || process.env.SFTP_REMOTE_PATH || '/incoming',
+    // Key-based auth: a key file, or the key itself (PEM or base64) from a secret
+    privateKeyPath: process.env.SFTP_PRIVATE_KEY_PATH || '',
+    privateKey: process.env.SFTP_PRIVATE_KEY || '',
+    passphrase: process.env.SFTP_PRIVATE_KEY_PASSPHRASE || '',
+    // Expected host key fingerprint(s) as printed by `ssh-keygen -l` (SHA256:...), comma-separated
+    hostFingerprints: (process.env.SFTP_HOST_FINGERPRINT || '').split(',').map(f => f.trim()).filter(Boolean),
+    // Uploads share one session: SSH keepalive every keepaliveInterval, closed after idleTimeout unused
+    keepaliveInterval: parseInt(process.env.SFTP_KEEPALIVE_INTERVAL || '10000'),
+    idleTimeout: parseInt(process.env.SFTP_IDLE_TIMEOUT || '60000')
   },
   app: {
     debug: process.env.DEBUG === 'true',
-    logsDir: process.env.LOGS_DIR || './logs',
+    // Copies of every generated XML document; a shadow run keeps its own under SHADOW_DIR
+    logsDir: shadowMode ? path.join(shadowDir, 'logs') : (process.env.LOGS_DIR || './logs'),
     maxRetries: parseInt(process.env.MAX_RETRIES || '3'),
     retryDelay: parseInt(process.env.RETRY_DELAY || '5000'),
     pollingInterval: parseInt(process.env.CALL_POLLING_INTERVAL || '30') * 1000,
-    port: parseInt(process.env.PORT || '8080')
+    // How new calls are received: 'signalr', 'polling', or 'auto' (SignalR, polling while the hub is unreachable)
+    ingestMode: (process.env.INGEST_MODE || 'auto').toLowerCase(),
+    port: parseInt(process.env.PORT || '8080'),
+    // Persistent state (outbox, etc.) - mount a Fly volume here in production
+    dataDir
+  },
+  outbox: {
+    dir: statePath('OUTBOX_DIR', 'outbox'),
+    drainInterval: parseInt(process.env.OUTBOX_DRAIN_INTERVAL || '5') * 1000,
+    maxBackoff: parseInt(process.env.OUTBOX_MAX_BACKOFF || '900') * 1000,
+    sentRetentionDays: parseInt(process.env.OUTBOX_SENT_RETENTION_DAYS || '7'),
+    // Items still failing after this many attempts are moved to the dead-letter store
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '20')
+  },
+  deadLetter: {
+    // Incidents that failed validation, processing or every delivery attempt
+    dir: statePath('DEAD_LETTER_DIR', 'dead-letter')
+  },
+  ledger: {
+    // Append-only record of every incident sent to ESO, shared by the listener and the CLI scripts
+    file: statePath('LEDGER_FILE', 'ledger.jsonl')
+  },
+  tracking: {
+    // Fallback poll of open calls in case update events are missed
+    refreshInterval: parseInt(process.env.CALL_REFRESH_INTERVAL || '120') * 1000,
+    maxAgeHours: parseInt(process.env.CALL_TRACKING_HOURS || '12'),
+    debounce: parseInt(process.env.CALL_UPDATE_DEBOUNCE || '5') * 1000,
+    // Open calls, so they are still tracked after a restart
+    stateFile: statePath('CALL_TRACKING_STATE_FILE', 'tracked-calls.json')
+  },
+  catchUp: {
+    // High-water mark of processed calls, used to find calls missed while disconnected
+    stateFile: statePath('CATCH_UP_STATE_FILE', 'catch-up.json'),
+    maxDays: parseInt(process.env.CATCH_UP_MAX_DAYS || '3'),
+    overlapMinutes: parseInt(process.env.CATCH_UP_OVERLAP_MINUTES || '15')
+  },
+  backfill: {
+    // Backfills fetch calls one window at a time and checkpoint their progress so they can resume
+    windowHours: parseInt(process.env.BACKFILL_WINDOW_HOURS || '24'),
+    concurrency: parseInt(process.env.BACKFILL_CONCURRENCY || '2'),
+    checkpointDir: statePath('BACKFILL_CHECKPOINT_DIR', 'backfill')
+  },
+  deliveryMonitor: {
+    // Watches the remote folders to confirm the receiving system imported (or rejected) each file
+    enabled: process.env.DELIVERY_MONITOR_ENABLED !== 'false',
+    interval: parseInt(process.env.DELIVERY_CHECK_INTERVAL || '300') * 1000,
+    staleMinutes: parseInt(process.env.DELIVERY_STALE_MINUTES || '60'),
+    // Destinations to watch (default: the first destination)
+    destinations: (process.env.DELIVERY_MONITOR_DESTINATIONS || '').split(',').map(d => d.trim()).filter(Boolean),
+    // Folders ESO moves imported and rejected files to; relative paths are resolved against the upload folder
+    processedDir: process.env.ESO_PROCESSED_DIR || '',
+    rejectedDir: process.env.ESO_REJECTED_DIR || '',
+    stateFile: statePath('DELIVERY_STATE_FILE', 'deliveries.json')
+  },
+  metrics: {
+    // Prometheus metrics on GET /metrics of a separate server, kept off the public health port
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    port: parseInt(process.env.METRICS_PORT || '9091'),
+    // Bearer token scrapers must send (Fly's managed Prometheus can't, so leave it unset there)
+    token: process.env.METRICS_TOKEN || ''
+  },
+  health: {
+    // Readiness fails when no calls could be received, or no upload succeeded, for this long
+    ingestMaxMinutes: parseInt(process.env.HEALTH_INGEST_MAX_MINUTES || '10'),
+    uploadMaxMinutes: parseInt(process.env.HEALTH_UPLOAD_MAX_MINUTES || '30'),
+    // Exit (so the platform restarts the machine) after being unready this long; 0 disables
+    restartAfterMinutes: parseInt(process.env.HEALTH_RESTART_AFTER_MINUTES || '0')
+  },
+  alerts: {
+    // Slack/Teams-compatible incoming webhooks
+    webhookUrls: (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    email: {
+      host: process.env.ALERT_SMTP_HOST || '',
+      port: parseInt(process.env.ALERT_SMTP_PORT || '587'),
+      // Implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+      secure: process.env.ALERT_SMTP_SECURE === 'true',
+      user: process.env.ALERT_SMTP_USER || '',
+      pass: process.env.ALERT_SMTP_PASS || '',
+      from: process.env.ALERT_EMAIL_FROM || 'resgrid-eso-bridge@localhost',
+      to: (process.env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean)
+    },
+    // Conditions
+    uploadFailures: parseInt(process.env.ALERT_UPLOAD_FAILURES || '3'),
+    tokenFailures: parseInt(process.env.ALERT_TOKEN_FAILURES || '2'),
+    hubDisconnectedMinutes: parseInt(process.env.ALERT_HUB_DISCONNECTED_MINUTES || '10'),
+    deadLetters: process.env.ALERT_DEAD_LETTERS !== 'false',
+    // Reminder interval for conditions that last; 0 sends each alert once
+    repeatMinutes: parseInt(process.env.ALERT_REPEAT_MINUTES || '60')
   },
+  admin: {
+    // Bearer token for the admin API on the health server; the API is disabled without one
+    token: process.env.ADMIN_TOKEN || ''
+  },
+  statuses: {
+    // Department unit status definitions, used to map custom statuses to ESO time milestones
+    refreshInterval: parseInt(process.env.STATUS_DEFINITIONS_REFRESH || '3600') * 1000,
+    cacheFile: statePath('STATUS_DEFINITIONS_CACHE', 'status-definitions.json')
+  },
+  shadow: {
+    enabled: shadowMode,
+    // Holds the shadow's outbox, ledger and other state, and its XML unless SHADOW_DESTINATIONS says otherwise
+    dir: shadowDir,
+    // Google Sheets tab for the shadow's call rows; Sheets is left alone when empty
+    sheetsTab: process.env.SHADOW_SHEETS_TAB || '',
+    // What production delivered, for `bridge shadow report` (the usual variables describe production)
+    production: {
+      destinations: productionDestinations,
+      ledgerFile: process.env.LEDGER_FILE || path.join(dataDir, 'ledger.jsonl'),
+      outboxDir: process.env.OUTBOX_DIR || path.join(dataDir, 'outbox')
+    }
+  },
+  // Where incidents are delivered (SFTP, FTPS, HTTPS or a directory); see src/transports.
+  // In shadow mode: SHADOW_DESTINATIONS, by default a directory under SHADOW_DIR
+  destinations: shadowMode
+    ? loadDestinations('SHADOW_DESTINATIONS', [{ name: 'shadow', type: 'directory', path: path.join(shadowDir, 'xml') }])
+    : productionDestinations,
+  // Declarative Resgrid -> ESO field mapping; agencies can point this at their own profile
+  mapping: loadMappingProfile(process.env.FIELD_MAPPING_FILE || path.join(__dirname, 'mappings', 'default.json')),
   esoGuid: process.env.ESO_GUID || 'b394de98-a5b7-408d-a1f2-020eddff92b9'
 };
 
@@ -48,6 +254,26 @@ function validateConfig() {
     return false;
   });
   
+  if (!['signalr', 'polling', 'auto'].includes(config.app.ingestMode)) {
+    console.error(`Invalid INGEST_MODE "${config.app.ingestMode}" (expected signalr, polling or auto)`);
+    process.exit(1);
+  }
+  
+  // Entries are only numbered: webhook URLs often carry a secret
+  const invalidWebhooks = config.alerts.webhookUrls
+    .map((url, index) => ({ url, entry: index + 1 }))
+    .filter(({ url }) => {
+      try {
+        return !['http:', 'https:'].includes(new URL(url).protocol);
+      } catch (error) {
+        return true;
+      }
+    });
+  if (invalidWebhooks.length > 0) {
+    console.error(`Invalid ALERT_WEBHOOK_URLS (not http or https URLs): entry ${invalidWebhooks.map(w => w.entry).join(', ')}`);
+    process.exit(1);
+  }
+  
   if (missingVars.length > 0) {
     console.error('Missing required environment variables:');
     missingVars.forEach(v => console.error(`- ${v.name}`));
@@ -55,13 +281,31 @@ function validateConfig() {
     process.exit(1);
   }
   
-  // Log current configuration for debugging
-  console.log('Environment configuration:');
-  console.log(`  RESGRID_USER: ${config.resgrid.username ? '✓ Set' : '✗ Missing'}`);
-  console.log(`  RESGRID_PASS: ${config.resgrid.password ? '✓ Set' : '✗ Missing'}`);
-  console.log(`  SFTP_HOST: ${config.sftp.host}`);
-  console.log(`  SFTP_USER: ${config.sftp.username} (from ${process.env.SFTP_USER ? 'SFTP_USER' : 'SFTP_USERNAME'})`);
-  console.log(`  SFTP_DIR: ${config.sftp.remotePath} (from ${process.env.SFTP_DIR ? 'SFTP_DIR' : 'SFTP_REMOTE_PATH'})`);
+  // Log current configuration for debugging (to stderr under the bridge CLI)
+  const print = process.env.LOG_STREAM === 'stderr' ? console.error : console.log;
+  print('Environment configuration:');
+  print(`  RESGRID_USER: ${config.resgrid.username ? '✓ Set' : '✗ Missing'}`);
+  print(`  RESGRID_PASS: ${config.resgrid.password ? '✓ Set' : '✗ Missing'}`);
+  if (process.env.RESGRID_API_URL || process.env.RESGRID_EVENTS_URL) {
+    print(`  RESGRID_API_URL: ${config.resgrid.baseUrl}`);
+    print(`  RESGRID_EVENTS_URL: ${config.resgrid.eventsUrl}`);
+  }
+  print(`  SFTP_HOST: ${config.sftp.host}`);
+  print(`  SFTP_USER: ${config.sftp.username} (from ${process.env.SFTP_USER ? 'SFTP_USER' : 'SFTP_USERNAME'})`);
+  print(`  SFTP_DIR: ${config.sftp.remotePath} (from ${process.env.SFTP_DIR ? 'SFTP_DIR' : 'SFTP_REMOTE_PATH'})`);
+  print(`  SFTP_AUTH: ${config.sftp.privateKeyPath || config.sftp.privateKey ? 'private key' : 'password'}`);
+  print(`  SFTP_HOST_FINGERPRINT: ${config.sftp.hostFingerprints.length > 0 ? config.sftp.hostFingerprints.join(', ') : '✗ Not pinned'}`);
+  print(`  INGEST_MODE: ${config.app.ingestMode}`);
+  print(`  DESTINATIONS: ${config.destinations.map(d => `${d.name} (${d.type})`).join(', ')}`);
+  if (config.shadow.enabled) {
+    print(`  SHADOW_MODE: ✓ On (state in ${config.shadow.dir}, Sheets ${config.shadow.sheetsTab ? `tab "${config.shadow.sheetsTab}"` : 'skipped'})`);
+  }
+  print(`  ALERTS: ${[
+    config.alerts.webhookUrls.length > 0 ? `${config.alerts.webhookUrls.length} webhook(s)` : '',
+    config.alerts.email.host && config.alerts.email.to.length > 0 ? `email via ${config.alerts.email.host}` : ''
+  ].filter(Boolean).join(', ') || '✗ Not configured'}`);
+  print(`  ADMIN_TOKEN: ${config.admin.token ? '✓ Set (admin API enabled)' : '✗ Not set (admin API disabled)'}`);
+  print(`  FIELD_MAPPING_FILE: ${config.mapping.file} (profile "${config.mapping.name || 'unnamed'}")`);
 }
 
 // Perform validation on initial load
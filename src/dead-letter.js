@@ -0,0 +1,171 @@
+/**
+ * Dead-letter store for incidents that could not be delivered to ESO
+ *
+ * An incident ends up here when its XML fails validation, when processing the
+ * call fails (e.g. Resgrid can't be reached or generation throws), or when the
+ * outbox gives up after the maximum number of delivery attempts. Each entry
+ * keeps the raw Resgrid payloads, the generated XML and the error, so it can
+ * be inspected, edited and replayed with `node dead-letter.js`.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const alerts = require('./alerts');
+const { toIdPart } = require('./utils/ids');
+
+const REPLAYED_DIR = 'replayed';
+
+/**
+ * Creates the dead-letter directories if they don't exist
+ */
+function ensureDeadLetterDirs() {
+  fs.mkdirSync(path.join(config.deadLetter.dir, REPLAYED_DIR), { recursive: true });
+}
+
+/**
+ * Gets the file path of a dead-letter entry
+ * @param {string} id - Entry ID
+ * @returns {string} File path
+ */
+function getDeadLetterPath(id) {
+  return path.join(config.deadLetter.dir, `${id}.json`);
+}
+
+/**
+ * Writes an entry atomically (temp file + rename)
+ * @param {string} filePath - Target file
+ * @param {Object} entry - Dead-letter entry
+ */
+function writeEntry(filePath, entry) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Adds a failed incident to the dead-letter store
+ * @param {Object} entry - Failed incident
+ * @param {string} entry.stage - Where it failed: 'validation', 'processing' or 'delivery'
+ * @param {string} entry.callId - Resgrid Call ID
+ * @param {string} [entry.unit] - Unit call sign the record was generated for
+ * @param {string} [entry.destination] - Destination a failed delivery was for
+ * @param {string} entry.error - Error message
+ * @param {Array<string>} [entry.errors] - Validation errors
+ * @param {string} [entry.xml] - Generated XML document
+ * @param {Object} [entry.callData] - Raw call data from Resgrid (or the event payload)
+ * @param {Object} [entry.callExtraData] - Raw extra call data from Resgrid
+ * @param {string} [entry.trigger] - What caused the processing
+ * @returns {Object} The stored entry
+ */
+function addDeadLetter(entry) {
+  ensureDeadLetterDirs();
+
+  const suffix = entry.unit ? `-${toIdPart(entry.unit)}` : '';
+  const stored = {
+    id: `${Date.now()}-${toIdPart(entry.callId)}${suffix}-${crypto.randomBytes(3).toString('hex')}`,
+    deadLetteredAt: new Date().toISOString(),
+    ...entry
+  };
+
+  writeEntry(getDeadLetterPath(stored.id), stored);
+
+  logger.error(`Dead-lettered Call ID: ${entry.callId}${entry.unit ? ` unit ${entry.unit}` : ''} (${entry.stage}): ${entry.error}`, {
+    callId: entry.callId,
+    deadLetterId: stored.id
+  });
+  alerts.recordDeadLetter(stored);
+
+  return stored;
+}
+
+/**
+ * Reads a dead-letter entry
+ * @param {string} id - Entry ID
+ * @returns {Object|null} The entry, or null if it doesn't exist
+ */
+function readDeadLetter(id) {
+  try {
+    return JSON.parse(fs.readFileSync(getDeadLetterPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Unable to read dead-letter entry ${id}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Lists dead-letter entries waiting for attention, oldest first
+ * @returns {Array<Object>} Dead-letter entries
+ */
+function listDeadLetters() {
+  ensureDeadLetterDirs();
+
+  return fs.readdirSync(config.deadLetter.dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => {
+      try {
+        return readDeadLetter(path.basename(name, '.json'));
+      } catch (error) {
+        logger.warn(error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Moves a replayed entry out of the active store, keeping it for audit
+ * @param {string} id - Entry ID
+ * @param {Array<string>} outboxItemIds - Outbox items created by the replay
+ */
+function markReplayed(id, outboxItemIds) {
+  const entry = readDeadLetter(id);
+  if (!entry) {
+    return;
+  }
+
+  entry.replayedAt = new Date().toISOString();
+  entry.outboxItemIds = outboxItemIds;
+  writeEntry(path.join(config.deadLetter.dir, REPLAYED_DIR, `${id}.json`), entry);
+  fs.unlinkSync(getDeadLetterPath(id));
+
+  logger.info(`Replayed dead-letter entry ${id} for Call ID: ${entry.callId}`);
+}
+
+/**
+ * Deletes a dead-letter entry without replaying it
+ * @param {string} id - Entry ID
+ * @returns {boolean} True if the entry existed
+ */
+function removeDeadLetter(id) {
+  try {
+    fs.unlinkSync(getDeadLetterPath(id));
+    logger.info(`Removed dead-letter entry ${id}`);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Report the number of entries waiting for attention on every scrape
+metrics.onCollect(() => {
+  ensureDeadLetterDirs();
+  metrics.deadLetters.set({}, fs.readdirSync(config.deadLetter.dir).filter(name => name.endsWith('.json')).length);
+});
+
+module.exports = {
+  addDeadLetter,
+  readDeadLetter,
+  listDeadLetters,
+  markReplayed,
+  removeDeadLetter,
+  getDeadLetterPath
+};
@@ -0,0 +1,375 @@
+/**
+ * Delivery monitor for the Resgrid ESO Bridge
+ *
+ * A successful upload only means the file reached the server, not that ESO
+ * imported it. The monitor follows every file the ledger records for the
+ * watched destinations and periodically lists the upload folder and any
+ * configured processed / rejected folders:
+ *   - a file found in the rejected folder is marked rejected; any error or
+ *     rejection file ESO left next to it is read and parsed, and the incident
+ *     is dead-lettered with the document and payloads that were sent, so it
+ *     can be fixed and replayed
+ *   - a file that left the upload folder (or appeared in the processed folder)
+ *     is marked consumed; a missing upload folder confirms nothing, so its
+ *     files stay pending
+ *   - a file still waiting after DELIVERY_STALE_MINUTES is flagged as stale
+ * Only the latest file sent for each call, unit and destination is followed.
+ */
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const ledger = require('./ledger');
+const outbox = require('./outbox');
+const { addDeadLetter } = require('./dead-letter');
+const { getDestinations, getTransport } = require('./transports');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest error text kept from a rejection file
+const MAX_ERROR_LENGTH = 2000;
+
+// Element and attribute names that carry the reason in an XML error file
+const ERROR_KEYS = /error|message|reason|description|fault/i;
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', parseTagValue: false });
+
+// { deliveries: { [destination:remoteFile]: delivery } }
+let state = { deliveries: {} };
+let checking = false;
+
+/**
+ * Loads the delivery state saved by a previous run
+ */
+function loadState() {
+  try {
+    state = { deliveries: {}, ...JSON.parse(fs.readFileSync(config.deliveryMonitor.stateFile, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read delivery state, starting fresh: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Saves the delivery state atomically (temp file + rename)
+ */
+function saveState() {
+  fs.mkdirSync(path.dirname(config.deliveryMonitor.stateFile), { recursive: true });
+  const tmpPath = `${config.deliveryMonitor.stateFile}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, config.deliveryMonitor.stateFile);
+}
+
+/**
+ * Gets the names of the destinations being watched
+ * @returns {Array<string>} Destination names
+ */
+function getWatchedDestinations() {
+  const names = config.deliveryMonitor.destinations;
+  return names.length > 0 ? names : [getDestinations()[0].name];
+}
+
+/**
+ * Resolves a processed or rejected folder against the upload folder
+ * @param {string} uploadDir - Folder the file was uploaded to
+ * @param {string} folder - Configured folder (absolute, or relative to the upload folder)
+ * @returns {string|null} Folder path, or null if not configured
+ */
+function resolveFolder(uploadDir, folder) {
+  return folder ? path.posix.resolve(uploadDir, folder) : null;
+}
+
+/**
+ * Collects the error text from a rejection or error file
+ * @param {string} content - File content
+ * @returns {string} Error text
+ */
+function parseRejection(content) {
+  const text = String(content || '').trim();
+  let message = text;
+
+  if (text.startsWith('<')) {
+    const messages = [];
+    const collect = (node, key) => {
+      if (node === null || node === undefined) {
+        return;
+      }
+      if (typeof node === 'object') {
+        for (const [childKey, child] of Object.entries(node)) {
+          collect(child, childKey);
+        }
+      } else if (ERROR_KEYS.test(key) && String(node).trim()) {
+        messages.push(String(node).trim());
+      }
+    };
+
+    try {
+      collect(parser.parse(text), '');
+    } catch (error) {
+      // Not well-formed; keep the raw text
+    }
+    if (messages.length > 0) {
+      message = messages.join('; ');
+    }
+  }
+
+  return message.replace(/\s+/g, ' ').slice(0, MAX_ERROR_LENGTH);
+}
+
+/**
+ * Starts following files the ledger recorded since the last check
+ */
+function trackNewSends() {
+  const watched = getWatchedDestinations();
+  const cutoff = Date.now() - config.outbox.sentRetentionDays * DAY_MS;
+
+  for (const entry of ledger.getEntries()) {
+    const key = `${entry.destination}:${entry.remoteFile}`;
+    if (!entry.remoteFile || !watched.includes(entry.destination) || state.deliveries[key]) {
+      continue;
+    }
+    if (new Date(entry.sentAt).getTime() < cutoff) {
+      continue;
+    }
+
+    state.deliveries[key] = {
+      callId: entry.callId,
+      unit: entry.unit,
+      destination: entry.destination,
+      remoteFile: entry.remoteFile,
+      outboxItemId: entry.outboxItemId,
+      sentAt: entry.sentAt,
+      status: 'pending'
+    };
+  }
+}
+
+/**
+ * Drops finished deliveries older than the outbox retention period
+ */
+function pruneDeliveries() {
+  const cutoff = Date.now() - config.outbox.sentRetentionDays * DAY_MS;
+
+  for (const [key, delivery] of Object.entries(state.deliveries)) {
+    if (delivery.status !== 'pending' && new Date(delivery.sentAt).getTime() < cutoff) {
+      delete state.deliveries[key];
+    }
+  }
+}
+
+/**
+ * Marks a delivery as rejected, reading any error file left next to it
+ * @param {Object} transport - Transport for the destination
+ * @param {Object} delivery - Delivery being checked
+ * @param {string} rejectedDir - Rejected folder
+ * @param {Array<Object>} matches - Files in the rejected folder belonging to the delivery
+ */
+async function markRejected(transport, delivery, rejectedDir, matches) {
+  const filename = path.posix.basename(delivery.remoteFile);
+  const errorFiles = matches.filter(file => file.name !== filename);
+  const errors = [];
+
+  for (const file of errorFiles) {
+    try {
+      errors.push(parseRejection(await transport.read(path.posix.join(rejectedDir, file.name))));
+    } catch (error) {
+      logger.warn(`Unable to read rejection file ${file.name}: ${error.message}`);
+    }
+  }
+
+  delivery.status = 'rejected';
+  delivery.rejectedAt = new Date().toISOString();
+  delivery.location = path.posix.join(rejectedDir, filename);
+  delivery.error = errors.filter(Boolean).join('; ') || 'Rejected without an error file';
+
+  // Keep the incident for review and replay, like any other failed delivery;
+  // the sent outbox item still holds the document and the Resgrid payloads
+  const item = delivery.outboxItemId ? outbox.readItem('sent', delivery.outboxItemId) : null;
+  if (!item) {
+    logger.warn(`Outbox item for rejected ${filename} is no longer kept; a replay will fetch Call ID: ${delivery.callId} from Resgrid`);
+  }
+
+  addDeadLetter({
+    stage: 'rejected',
+    error: `${delivery.destination} rejected ${filename}: ${delivery.error}`,
+    callId: delivery.callId,
+    unit: delivery.unit,
+    destination: delivery.destination,
+    xml: item ? item.xml : undefined,
+    trigger: 'delivery-monitor',
+    callData: item ? item.callData : undefined,
+    callExtraData: item ? item.callExtraData : undefined,
+    outboxItemId: delivery.outboxItemId
+  });
+}
+
+/**
+ * Checks the pending deliveries of one destination
+ * @param {string} name - Destination name
+ * @param {Array<Object>} deliveries - Pending deliveries for the destination
+ * @param {Object} summary - Summary to update
+ */
+async function checkDestination(name, deliveries, summary) {
+  const transport = getTransport(name);
+  if (!transport.list) {
+    logger.warn(`Delivery monitor can't list files on ${name} (${transport.type}); not confirming its deliveries`);
+    return;
+  }
+
+  const destination = getDestinations().find(d => d.name === name);
+  // Files by folder, null for a folder that doesn't exist
+  const listings = new Map();
+  const listFolder = async (dir) => {
+    if (!listings.has(dir)) {
+      listings.set(dir, await transport.list(dir));
+    }
+    return listings.get(dir);
+  };
+  const missingFolders = new Set();
+
+  const staleCutoff = Date.now() - config.deliveryMonitor.staleMinutes * 60 * 1000;
+
+  for (const delivery of deliveries) {
+    const uploadDir = path.posix.dirname(delivery.remoteFile);
+    const filename = path.posix.basename(delivery.remoteFile);
+    const stem = filename.replace(/\.xml$/i, '');
+    const label = `Call ID: ${delivery.callId}${delivery.unit ? ` unit ${delivery.unit}` : ''}`;
+    const processedDir = resolveFolder(uploadDir, destination.processedPath || config.deliveryMonitor.processedDir);
+    const rejectedDir = resolveFolder(uploadDir, destination.rejectedPath || config.deliveryMonitor.rejectedDir);
+
+    if (rejectedDir) {
+      // The file itself, or an error file named after it (e.g. call_1_M1_1700000000000.err)
+      const matches = ((await listFolder(rejectedDir)) || [])
+        .filter(file => file.name.startsWith(stem) && !/^\d/.test(file.name.slice(stem.length)));
+      if (matches.length > 0) {
+        await markRejected(transport, delivery, rejectedDir, matches);
+        summary.rejected++;
+        logger.error(`${label}: ${name} rejected ${filename}: ${delivery.error}`);
+        continue;
+      }
+    }
+
+    const uploaded = await listFolder(uploadDir);
+    if (!uploaded) {
+      // Without the folder there's no telling whether ESO took the file
+      if (!missingFolders.has(uploadDir)) {
+        missingFolders.add(uploadDir);
+        logger.warn(`Delivery monitor can't find ${uploadDir} on ${name}; leaving its deliveries pending`);
+      }
+      continue;
+    }
+
+    const waiting = uploaded.some(file => file.name === filename);
+    if (!waiting) {
+      const processed = processedDir && ((await listFolder(processedDir)) || []).find(file => file.name === filename);
+      delivery.status = 'consumed';
+      delivery.consumedAt = processed ? processed.modifiedAt : new Date().toISOString();
+      delivery.location = processed ? path.posix.join(processedDir, filename) : null;
+      summary.consumed++;
+      logger.info(`${label}: ${name} consumed ${filename}`);
+      continue;
+    }
+
+    if (new Date(delivery.sentAt).getTime() < staleCutoff) {
+      summary.stale++;
+      if (!delivery.staleAt) {
+        delivery.staleAt = new Date().toISOString();
+        logger.error(`${label}: ${filename} has not been picked up by ${name} after ${config.deliveryMonitor.staleMinutes} minutes`, {
+          callId: delivery.callId,
+          remoteFile: delivery.remoteFile
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Checks what happened to every file still waiting to be picked up
+ * @returns {Promise<Object>} Summary with consumed, rejected, stale and pending counts
+ */
+async function checkDeliveries() {
+  const summary = { consumed: 0, rejected: 0, stale: 0, pending: 0 };
+
+  if (checking) {
+    return summary;
+  }
+  checking = true;
+
+  try {
+    trackNewSends();
+
+    const pendingByDestination = new Map();
+    for (const delivery of Object.values(state.deliveries)) {
+      if (delivery.status === 'pending') {
+        const list = pendingByDestination.get(delivery.destination) || [];
+        list.push(delivery);
+        pendingByDestination.set(delivery.destination, list);
+      }
+    }
+
+    for (const [name, deliveries] of pendingByDestination) {
+      try {
+        await checkDestination(name, deliveries, summary);
+      } catch (error) {
+        logger.error(`Delivery monitor failed to check ${name}: ${error.message}`);
+      }
+    }
+
+    pruneDeliveries();
+    saveState();
+
+    summary.pending = Object.values(state.deliveries).filter(d => d.status === 'pending').length;
+    if (summary.consumed || summary.rejected) {
+      logger.info(`Delivery check complete: ${summary.consumed} consumed, ${summary.rejected} rejected, ${summary.stale} stale, ${summary.pending} pending`);
+    }
+  } finally {
+    checking = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Lists followed deliveries, newest first
+ * @param {string} [status] - Only deliveries with this status ('pending', 'consumed' or 'rejected')
+ * @returns {Array<Object>} Deliveries
+ */
+function getDeliveries(status) {
+  return Object.values(state.deliveries)
+    .filter(delivery => !status || delivery.status === status)
+    .sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+}
+
+/**
+ * Starts checking deliveries every DELIVERY_CHECK_INTERVAL
+ * @returns {Object} Handle with a stop() method
+ */
+function startDeliveryMonitor() {
+  if (!config.deliveryMonitor.enabled) {
+    logger.info('Delivery monitor is disabled (DELIVERY_MONITOR_ENABLED=false)');
+    return { stop() {} };
+  }
+
+  const tick = () => {
+    checkDeliveries().catch(error => {
+      logger.error(`Delivery check failed: ${error.message}`);
+    });
+  };
+
+  const timer = setInterval(tick, config.deliveryMonitor.interval);
+  logger.info(`Delivery monitor started (watching ${getWatchedDestinations().join(', ')} every ${config.deliveryMonitor.interval / 1000}s)`);
+  tick();
+
+  return {
+    stop() {
+      clearInterval(timer);
+      logger.info('Delivery monitor stopped');
+    }
+  };
+}
+
+loadState();
+
+module.exports = { checkDeliveries, getDeliveries, parseRejection, startDeliveryMonitor };
@@ -0,0 +1,61 @@
+/**
+ * Delivery of queued incidents for the Resgrid ESO Bridge
+ * Sends outbox items through their destination's transport and logs each
+ * delivered incident to Google Sheets. Used by the listener's outbox worker
+ * and by the bridge CLI, which delivers what it queued before exiting.
+ */
+const { logger } = require('./logger');
+const { sheetCallRow } = require('./sheets-logger');
+const { getTransport, getDestination } = require('./transports');
+const { buildCallDataForXml } = require('./call-processor');
+const outbox = require('./outbox');
+const health = require('./health');
+const alerts = require('./alerts');
+
+/**
+ * Delivers a single outbox item to its destination
+ * Called by the outbox worker; throwing leaves the item queued for retry
+ * @param {Object} item - Outbox item
+ * @returns {Promise<string>} Where the document was delivered
+ */
+async function deliverOutboxItem(item) {
+  const transport = getTransport(item.destination);
+  let location;
+  try {
+    location = await transport.send(item.filename, item.xml);
+    health.recordUpload(transport.name);
+    alerts.recordUpload(transport.name);
+  } catch (error) {
+    health.recordUpload(transport.name, error);
+    alerts.recordUpload(transport.name, error);
+    throw error;
+  }
+  logger.info(`Successfully delivered call ${item.callId}${item.unit ? ` unit ${item.unit}` : ''} to ${transport.name}`);
+
+  // Log successful call data to Google Sheets, once per incident (for the first destination)
+  if (item.callData && transport.name === getDestination().name) {
+    try {
+      logger.info(`Logging call ${item.callId} to Google Sheets with full field data`);
+      // Multi-unit calls get one row per unit, matching the records sent to ESO
+      const sheetData = buildCallDataForXml(item.callData, item.callExtraData || {});
+      await sheetCallRow(item.unit ? { ...sheetData, UnitsCsv: item.unit } : sheetData, item.callExtraData);
+      logger.info(`Successfully logged call ${item.callId} to Google Sheets`);
+    } catch (sheetError) {
+      // Don't fail the delivery if Sheet logging fails
+      logger.warn(`Failed to log call ${item.callId} to Google Sheets: ${sheetError.message}`);
+    }
+  }
+
+  return location;
+}
+
+/**
+ * Attempts delivery of every outbox item that is due, once
+ * Safe to run next to the listener: each item is claimed by one process only.
+ * @returns {Promise<Object>} Summary with sent, failed, skipped, superseded and dead-lettered counts
+ */
+function deliverDueItems() {
+  return outbox.drain(deliverOutboxItem);
+}
+
+module.exports = { deliverOutboxItem, deliverDueItems };
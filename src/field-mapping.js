@@ -0,0 +1,268 @@
+/**
+ * Field mapping for the Resgrid ESO Bridge
+ * Applies the declarative mapping profile loaded by config.js (see
+ * src/mappings/default.json) to turn Resgrid call data into ESO CadIncident
+ * fields, and decides which dispatched resources count as EMS units.
+ */
+const { config } = require('./config');
+const { mapPriorityToEsoCode } = require('./utils/priority');
+const spec = require('./schemas/cad-incident.json');
+
+/**
+ * Parses a Resgrid address into street, city, state and zip
+ * Sample address: "14051 Califa St, Sherman Oaks, CA 91401, USA"
+ * @param {string} address - Full address
+ * @returns {Object} Address components
+ */
+function parseAddress(address) {
+  const result = { street: '', city: '', state: '', zip: '' };
+  if (!address) {
+    return result;
+  }
+
+  // Clean the address by removing any carriage returns
+  const addressParts = String(address).replace(/[\r\n]/g, '').split(',').map(part => part.trim());
+
+  // Street address should only be the first part (e.g., "14051 Califa St")
+  result.street = addressParts[0] || '';
+
+  if (addressParts.length >= 3) {
+    // City is usually the second part
+    result.city = addressParts[1] || '';
+
+    // State and ZIP are usually in the third part as "CA 91401"
+    if (addressParts[2]) {
+      const stateZipParts = addressParts[2].split(' ').filter(p => p);
+      result.state = stateZipParts[0] || '';
+      result.zip = stateZipParts[1] || '';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Splits a contact name into patient first and last name
+ * @param {string} contactName - Contact name from the call
+ * @returns {Object} Object with firstName and lastName
+ */
+function splitContactName(contactName) {
+  const nameParts = String(contactName || '').trim().split(/\s+/).filter(p => p);
+  return {
+    firstName: nameParts[0] || '',
+    lastName: nameParts.slice(1).join(' ')
+  };
+}
+
+/**
+ * Formats a value as a YYYY-MM-DD date when it is a valid date
+ * @param {string} value - Date value (e.g. a date of birth stored in ExternalId)
+ * @returns {string} Formatted date or empty string
+ */
+function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+}
+
+/**
+ * Splits a "lat,long" geolocation string
+ * @param {string} geolocation - Geolocation from the call
+ * @returns {Object} Object with latitude and longitude
+ */
+function parseGeolocation(geolocation) {
+  const parts = String(geolocation || '').split(',');
+  if (parts.length !== 2) {
+    return { latitude: '', longitude: '' };
+  }
+  return { latitude: parts[0].trim(), longitude: parts[1].trim() };
+}
+
+// Named transforms a profile element can apply to its source value
+const TRANSFORMS = {
+  addressStreet: value => parseAddress(value).street,
+  addressCity: value => parseAddress(value).city,
+  addressState: value => parseAddress(value).state,
+  addressZip: value => parseAddress(value).zip,
+  firstName: value => splitContactName(value).firstName,
+  lastName: value => splitContactName(value).lastName,
+  date: value => formatDate(value),
+  latitude: value => parseGeolocation(value).latitude,
+  longitude: value => parseGeolocation(value).longitude,
+  responseMode: (value, context) => mapPriorityToEsoCode(value, context.call.Nature),
+  upperCase: value => String(value).toUpperCase(),
+  trim: value => String(value).trim()
+};
+
+/**
+ * Checks a mapping profile, returning every problem found
+ * @param {Object} profile - Mapping profile
+ * @returns {Array<string>} Error messages (empty when the profile is valid)
+ */
+function checkMappingProfile(profile) {
+  const errors = [];
+  const knownElements = new Set(spec.elements.map(field => field.name));
+  const seen = new Set();
+
+  if (!Array.isArray(profile.elements) || profile.elements.length === 0) {
+    return ['"elements" must be a non-empty array'];
+  }
+
+  profile.elements.forEach((element, index) => {
+    const label = element.name ? `Element ${element.name}` : `Element #${index + 1}`;
+
+    if (!knownElements.has(element.name)) {
+      errors.push(`${label} is not a known ESO CadIncident element`);
+    }
+    if (seen.has(element.name)) {
+      errors.push(`${label} is mapped more than once`);
+    }
+    seen.add(element.name);
+
+    if (element.value === undefined && !element.source) {
+      errors.push(`${label} needs a "source" or a constant "value"`);
+    }
+    if (element.transform && !TRANSFORMS[element.transform]) {
+      errors.push(`${label} uses unknown transform "${element.transform}" (available: ${Object.keys(TRANSFORMS).join(', ')})`);
+    }
+  });
+
+  const units = profile.units || {};
+  if (!Array.isArray(units.types) || units.types.length === 0) {
+    errors.push('"units.types" must list the Resgrid dispatch types treated as EMS units');
+  }
+  try {
+    new RegExp(units.namePattern || '');
+  } catch (error) {
+    errors.push(`"units.namePattern" is not a valid regular expression: ${error.message}`);
+  }
+
+  const milestones = ['enRoute', 'onScene', 'atPatient', 'cleared', 'backInService'];
+  for (const [milestone, rule] of Object.entries(profile.statuses || {})) {
+    if (!milestones.includes(milestone)) {
+      errors.push(`"statuses.${milestone}" is not a known milestone (available: ${milestones.join(', ')})`);
+      continue;
+    }
+    for (const key of ['ids', 'defaultIds']) {
+      if (rule[key] !== undefined && !(Array.isArray(rule[key]) && rule[key].every(Number.isInteger))) {
+        errors.push(`"statuses.${milestone}.${key}" must be a list of StatusIds`);
+      }
+    }
+    if (rule.names !== undefined && !(Array.isArray(rule.names) && rule.names.every(name => typeof name === 'string'))) {
+      errors.push(`"statuses.${milestone}.names" must be a list of status names`);
+    }
+  }
+
+  return errors;
+}
+
+const profileErrors = checkMappingProfile(config.mapping);
+if (profileErrors.length > 0) {
+  throw new Error(`Invalid field mapping profile ${config.mapping.file}: ${profileErrors.join('; ')}`);
+}
+
+const unitNamePattern = new RegExp(config.mapping.units.namePattern || '.');
+
+/**
+ * Checks whether a unit name can be used as an ESO EmsUnitCallSign
+ * @param {string} name - Unit name
+ * @returns {boolean} True if the name matches the profile's unit name pattern
+ */
+function isValidUnitName(name) {
+  return Boolean(name) && unitNamePattern.test(name);
+}
+
+/**
+ * Checks whether a dispatch entry is an EMS unit that should get an ESO record
+ * @param {Object} dispatch - Entry from the Dispatches array
+ * @returns {boolean} True if the dispatch type and name pass the profile's unit filter
+ */
+function isResponderUnit(dispatch) {
+  return Boolean(dispatch) && config.mapping.units.types.includes(dispatch.Type) && isValidUnitName(dispatch.Name);
+}
+
+/**
+ * Reads a dotted path (e.g. "call.Priority.Id") from the mapping context
+ * @param {Object} context - Mapping context
+ * @param {string} sourcePath - Dotted path
+ * @returns {*} The value, or undefined if any part of the path is missing
+ */
+function getPath(context, sourcePath) {
+  return sourcePath.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    context
+  );
+}
+
+/**
+ * Checks whether a source value counts as missing
+ * @param {*} value - Source value
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Resolves the value of one profile element
+ * @param {Object} element - Element definition from the profile
+ * @param {Object} context - Mapping context
+ * @returns {*} Element value
+ */
+function resolveElement(element, context) {
+  let value;
+
+  if (element.value !== undefined) {
+    value = element.value;
+  } else {
+    const values = [].concat(element.source).map(sourcePath => getPath(context, sourcePath));
+
+    if (element.join !== undefined) {
+      // Combine every non-empty source (e.g. nature and note)
+      value = values.filter(v => !isEmpty(v)).join(element.join);
+    } else {
+      // Sources are fallbacks; use the first one that has a value
+      value = values.find(v => !isEmpty(v));
+    }
+  }
+
+  if (isEmpty(value)) {
+    value = element.default !== undefined ? element.default : '';
+  }
+
+  return element.transform ? TRANSFORMS[element.transform](value, context) : value;
+}
+
+/**
+ * Maps call data to CadIncident fields using the configured profile
+ * @param {Object} context - Mapping context
+ * @param {Object} context.call - Call data
+ * @param {Object} context.extra - Extra call data
+ * @param {Object} context.unit - Unit the record is for
+ * @param {Object} context.times - That unit's times
+ * @returns {Array<Array<*>>} [elementName, value] pairs in document order
+ */
+function mapIncidentFields(context) {
+  const fields = [];
+
+  for (const element of config.mapping.elements) {
+    const value = resolveElement(element, context);
+    if (element.omitIfEmpty && isEmpty(value)) {
+      continue;
+    }
+    fields.push([element.name, value]);
+  }
+
+  return fields;
+}
+
+module.exports = {
+  mapIncidentFields,
+  checkMappingProfile,
+  isValidUnitName,
+  isResponderUnit,
+  parseAddress,
+  splitContactName
+};
@@ -5,8 +5,11 @@ const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
 
-// Create logs directory if it doesn't exist
-const logsDir = path.join(process.cwd(), 'logs');
+// The bridge CLI sets LOG_STREAM=stderr so what it prints on stdout stays parseable
+const consoleStderrLevels = process.env.LOG_STREAM === 'stderr' ? Object.keys(winston.config.npm.levels) : [];
+
+// Create logs directory (LOGS_DIR, ./logs by default) if it doesn't exist
+const logsDir = path.resolve(process.env.LOGS_DIR || 'logs');
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
   console.log(`Created logs directory: ${logsDir}`);
@@ -22,6 +25,7 @@ const logger = winston.createLogger({
   transports: [
     // Console output
     new winston.transports.Console({
+      stderrLevels: consoleStderrLevels,
       format: winston.format.combine(
         winston.format.colorize(),
         winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
@@ -0,0 +1,332 @@
+/**
+ * Health checks for the Resgrid ESO Bridge
+ *
+ * GET /health/live only tells the platform the process is up and serving
+ * requests. GET /health/ready reports everything the bridge depends on and
+ * returns 503 when it can't do its job:
+ *   - ingest: the SignalR hub has been disconnected (or, when polling, no poll
+ *     has succeeded) for longer than HEALTH_INGEST_MAX_MINUTES
+ *   - token: there is no valid Resgrid API token and the latest request for
+ *     one failed
+ *   - uploads: a destination's latest upload failed and its oldest waiting
+ *     incident has been queued for longer than HEALTH_UPLOAD_MAX_MINUTES
+ * Google Sheets logging is optional, so its state is reported but never makes
+ * the bridge unready. GET /health keeps answering 200 for uptime monitors and
+ * includes the same report.
+ */
+const { version } = require('../package.json');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const outbox = require('./outbox');
+const { getTokenStatus } = require('./token-manager');
+const { getSheetsStatus } = require('./sheets-logger');
+
+const SERVICE_NAME = config.shadow.enabled ? 'Resgrid-ESO Bridge (shadow)' : 'Resgrid-ESO Bridge';
+const WATCHDOG_INTERVAL = 60 * 1000;
+
+const startedAt = Date.now();
+
+// How calls are being received
+const ingest = {
+  hubConnected: false,
+  // When the hub last connected or disconnected (start-up counts as disconnected)
+  hubChangedAt: startedAt,
+  lastEvent: null,
+  lastEventAt: null,
+  lastPollAt: null
+};
+
+// Outcome of the latest uploads: destination -> { lastSuccessAt, lastFailureAt, lastError }
+const uploads = new Map();
+
+/**
+ * Records that the SignalR hub connected
+ */
+function recordHubConnected() {
+  ingest.hubConnected = true;
+  ingest.hubChangedAt = Date.now();
+}
+
+/**
+ * Records that the SignalR hub disconnected (ignored if it already was)
+ */
+function recordHubDisconnected() {
+  if (ingest.hubConnected) {
+    ingest.hubConnected = false;
+    ingest.hubChangedAt = Date.now();
+  }
+}
+
+/**
+ * Records an event received from the SignalR hub
+ * @param {string} eventName - Name of the SignalR event
+ */
+function recordEvent(eventName) {
+  ingest.lastEvent = eventName;
+  ingest.lastEventAt = Date.now();
+}
+
+/**
+ * Records a successful poll of Resgrid for calls
+ */
+function recordPoll() {
+  ingest.lastPollAt = Date.now();
+}
+
+/**
+ * Records the outcome of an upload
+ * @param {string} destination - Destination name
+ * @param {Error} [error] - Why the upload failed (omit on success)
+ */
+function recordUpload(destination, error) {
+  const state = uploads.get(destination) || { lastSuccessAt: null, lastFailureAt: null, lastError: null };
+
+  if (error) {
+    state.lastFailureAt = Date.now();
+    state.lastError = error.message;
+  } else {
+    state.lastSuccessAt = Date.now();
+    state.lastError = null;
+  }
+  uploads.set(destination, state);
+}
+
+/**
+ * Formats a time for a report
+ * @param {number|null} time - Milliseconds since the epoch
+ * @returns {string|null} ISO time
+ */
+function toIso(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Checks that new calls can be received
+ * @param {number} now - Current time
+ * @returns {Object} Check result
+ */
+function checkIngest(now) {
+  const mode = config.app.ingestMode;
+
+  // The most recent time calls could be received, by either the hub or the poller
+  const receiving = [];
+  if (mode !== 'polling') {
+    receiving.push(ingest.hubConnected ? now : ingest.hubChangedAt);
+  }
+  if (mode !== 'signalr') {
+    receiving.push(ingest.lastPollAt || startedAt);
+  }
+  const downMinutes = (now - Math.max(...receiving)) / 60000;
+
+  const result = {
+    ok: downMinutes <= config.health.ingestMaxMinutes,
+    mode,
+    hubConnected: mode === 'polling' ? undefined : ingest.hubConnected,
+    hubChangedAt: mode === 'polling' ? undefined : toIso(ingest.hubChangedAt),
+    lastEvent: ingest.lastEvent,
+    lastEventAt: toIso(ingest.lastEventAt),
+    lastPollAt: toIso(ingest.lastPollAt)
+  };
+
+  if (!result.ok) {
+    result.error = mode === 'polling'
+      ? `No successful poll for ${Math.floor(downMinutes)} minutes`
+      : `SignalR hub disconnected for ${Math.floor(downMinutes)} minutes${mode === 'auto' ? ' and polling is not working' : ''}`;
+  }
+  return result;
+}
+
+/**
+ * Checks that the Resgrid API can be called
+ * @returns {Object} Check result
+ */
+function checkToken() {
+  const status = getTokenStatus();
+  const result = { ok: status.valid || !status.lastRefreshError, ...status };
+
+  if (!result.ok) {
+    result.error = `No valid Resgrid API token: ${status.lastRefreshError}`;
+  }
+  return result;
+}
+
+/**
+ * Checks that queued incidents are being delivered
+ * @param {number} now - Current time
+ * @returns {Object} Check result
+ */
+function checkUploads(now) {
+  // Counted from the directory listings and the latest drain pass, so probes never read the items
+  const queue = outbox.getQueueStats();
+  const oldestWaiting = outbox.getOldestWaiting();
+
+  const destinations = {};
+  const errors = [];
+
+  for (const name of new Set([...uploads.keys(), ...oldestWaiting.keys()])) {
+    const state = uploads.get(name) || {};
+    const oldest = oldestWaiting.get(name);
+    const failing = Boolean(state.lastFailureAt) && state.lastFailureAt > (state.lastSuccessAt || 0);
+    const waitingMinutes = oldest ? (now - oldest) / 60000 : 0;
+
+    destinations[name] = {
+      lastSuccessAt: toIso(state.lastSuccessAt),
+      lastFailureAt: toIso(state.lastFailureAt),
+      lastError: state.lastError || undefined,
+      oldestWaitingAt: toIso(oldest)
+    };
+
+    if (failing && waitingMinutes > config.health.uploadMaxMinutes) {
+      errors.push(`Uploads to ${name} failing, oldest incident waiting ${Math.floor(waitingMinutes)} minutes: ${state.lastError}`);
+    }
+  }
+
+  const lastSuccess = Math.max(0, ...[...uploads.values()].map(state => state.lastSuccessAt || 0));
+
+  return {
+    ok: errors.length === 0,
+    queue,
+    lastSuccessAt: toIso(lastSuccess),
+    destinations,
+    error: errors.length > 0 ? errors.join('; ') : undefined
+  };
+}
+
+/**
+ * Gets the liveness report
+ * @returns {Object} Liveness report
+ */
+function getLiveness() {
+  return {
+    status: 'OK',
+    service: SERVICE_NAME,
+    version,
+    timestamp: new Date().toISOString(),
+    uptime: Math.floor((Date.now() - startedAt) / 1000)
+  };
+}
+
+/**
+ * Gets the readiness report
+ * @returns {Object} Readiness report; `ready` is false when any required check fails
+ */
+function getReadiness() {
+  const now = Date.now();
+  const checks = {
+    ingest: checkIngest(now),
+    token: checkToken(),
+    uploads: checkUploads(now),
+    sheets: getSheetsStatus()
+  };
+  const failures = ['ingest', 'token', 'uploads']
+    .filter(name => !checks[name].ok)
+    .map(name => checks[name].error);
+
+  return {
+    ...getLiveness(),
+    status: failures.length === 0 ? 'OK' : 'UNAVAILABLE',
+    ready: failures.length === 0,
+    failures: failures.length > 0 ? failures : undefined,
+    checks
+  };
+}
+
+/**
+ * Sends a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Handles a request for / or under /health
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+function handleHealthRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  try {
+    if (pathname === '/health/live') {
+      sendJson(res, 200, getLiveness());
+    } else if (pathname === '/health/ready') {
+      const readiness = getReadiness();
+      sendJson(res, readiness.ready ? 200 : 503, readiness);
+    } else if (pathname === '/health' || pathname === '/') {
+      // Uptime monitors only look at the status code, so report problems in the body
+      const readiness = getReadiness();
+      sendJson(res, 200, { ...readiness, status: readiness.ready ? 'OK' : 'DEGRADED' });
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    }
+  } catch (error) {
+    logger.error(`Health check ${pathname} failed: ${error.message}`);
+    sendJson(res, 503, { status: 'UNAVAILABLE', service: SERVICE_NAME, error: error.message });
+  }
+}
+
+/**
+ * Starts a watchdog that exits the process once it has been unready for
+ * HEALTH_RESTART_AFTER_MINUTES, so the platform restarts a wedged machine
+ * @returns {Object} Handle with a stop() method
+ */
+function startHealthWatchdog() {
+  if (!config.health.restartAfterMinutes) {
+    return { stop() {} };
+  }
+
+  let unreadySince = null;
+
+  const timer = setInterval(() => {
+    let readiness;
+    try {
+      readiness = getReadiness();
+    } catch (error) {
+      logger.error(`Health watchdog check failed: ${error.message}`);
+      return;
+    }
+
+    if (readiness.ready) {
+      if (unreadySince) {
+        logger.info('Bridge is ready again');
+      }
+      unreadySince = null;
+      return;
+    }
+
+    if (!unreadySince) {
+      unreadySince = Date.now();
+      logger.warn(`Bridge is not ready: ${readiness.failures.join('; ')}`);
+    }
+
+    if (Date.now() - unreadySince >= config.health.restartAfterMinutes * 60000) {
+      logger.error(`Bridge has not been ready for ${config.health.restartAfterMinutes} minutes (${readiness.failures.join('; ')}), exiting so it is restarted`);
+      process.exit(1);
+    }
+  }, WATCHDOG_INTERVAL);
+
+  logger.info(`Health watchdog started (restarting after ${config.health.restartAfterMinutes} minutes unready)`);
+
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  recordHubConnected,
+  recordHubDisconnected,
+  recordEvent,
+  recordPoll,
+  recordUpload,
+  getLiveness,
+  getReadiness,
+  handleHealthRequest,
+  startHealthWatchdog
+};
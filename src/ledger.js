@@ -0,0 +1,239 @@
+/**
+ * Ledger of incidents sent to ESO
+ *
+ * Every successful upload is appended as one JSON line (Call ID, unit,
+ * destination, XML hash, remote file and time) to LEDGER_FILE. The listener,
+ * the outbox worker and the CLI scripts all consult it before uploading, so
+ * the same document is never sent twice - not even by a separate process such
+ * as fetch-existing-calls.js running next to the listener. Appends are a
+ * single write, so several processes can share the file; each one reads lines
+ * added by the others before every lookup.
+ *
+ * Sends are tracked per destination, so each destination gets every document
+ * once. Lines written before destinations existed count for the first
+ * destination.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Latest send per Call ID + unit + destination, built from the ledger file
+const entries = new Map();
+
+// Bytes of the ledger file already read into `entries`
+let offset = 0;
+
+/**
+ * Gets the destination a send is recorded against
+ * @param {string} [destination] - Destination name
+ * @returns {string} The name, or the first configured destination's
+ */
+function resolveDestination(destination) {
+  return destination || config.destinations[0].name;
+}
+
+/**
+ * Gets the ledger key for a call, unit and destination
+ * @param {string} callId - Resgrid Call ID
+ * @param {string} [unit] - Unit call sign ('' for a whole-call record)
+ * @param {string} [destination] - Destination name (default: the first destination)
+ * @returns {string} Ledger key
+ */
+function getKey(callId, unit, destination) {
+  return `${callId}:${unit || ''}:${resolveDestination(destination)}`;
+}
+
+/**
+ * Calculates the hash recorded for an XML document
+ * @param {string} xml - XML document
+ * @returns {string} SHA-256 hash
+ */
+function hashXml(xml) {
+  return crypto.createHash('sha256').update(xml).digest('hex');
+}
+
+/**
+ * Applies one ledger line to an index of latest sends
+ * @param {Map} index - Latest send per Call ID + unit + destination
+ * @param {Object} record - Parsed ledger line
+ */
+function applyRecord(index, record) {
+  const key = getKey(record.callId, record.unit, record.destination);
+  const previous = index.get(key);
+
+  index.set(key, {
+    ...record,
+    firstSentAt: previous ? previous.firstSentAt : record.sentAt,
+    sends: previous ? previous.sends + 1 : 1
+  });
+}
+
+/**
+ * Reads lines appended to the ledger since the last read (by this or any other process)
+ */
+function syncLedger() {
+  let fd;
+  try {
+    fd = fs.openSync(config.ledger.file, 'r');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read ledger ${config.ledger.file}: ${error.message}`);
+    }
+    return;
+  }
+
+  try {
+    const size = fs.fstatSync(fd).size;
+    if (size < offset) {
+      // The file was replaced; read it again from the start
+      entries.clear();
+      offset = 0;
+    }
+    if (size === offset) {
+      return;
+    }
+
+    const buffer = Buffer.alloc(size - offset);
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+
+    // Only consume complete lines; a line still being written is read next time
+    const end = buffer.lastIndexOf(0x0a);
+    if (end === -1) {
+      return;
+    }
+    offset += end + 1;
+
+    for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        applyRecord(entries, JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping unreadable ledger line: ${error.message}`);
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Gets the latest send recorded for a call and unit
+ * @param {string} callId - Resgrid Call ID
+ * @param {string} [unit] - Unit call sign
+ * @param {string} [destination] - Destination name (default: the first destination)
+ * @returns {Object|null} Ledger entry (hash, remoteFile, firstSentAt, sentAt, sends) or null
+ */
+function getLastSent(callId, unit, destination) {
+  syncLedger();
+  return entries.get(getKey(callId, unit, destination)) || null;
+}
+
+/**
+ * Gets the latest send for every call, unit and destination
+ * @returns {Array<Object>} Ledger entries
+ */
+function getEntries() {
+  syncLedger();
+  return [...entries.values()];
+}
+
+/**
+ * Gets the latest send for every unit and destination of a call
+ * @param {string} callId - Resgrid Call ID
+ * @returns {Array<Object>} Ledger entries
+ */
+function getCallEntries(callId) {
+  syncLedger();
+  return [...entries.values()].filter(entry => String(entry.callId) === String(callId));
+}
+
+/**
+ * Checks whether exactly this document was the last one sent for a call and unit
+ * to a destination
+ * @param {string} callId - Resgrid Call ID
+ * @param {string} [unit] - Unit call sign
+ * @param {string} xml - XML document about to be sent
+ * @param {string} [destination] - Destination name (default: the first destination)
+ * @returns {boolean} True if sending it again would be a duplicate
+ */
+function isAlreadySent(callId, unit, xml, destination) {
+  const last = getLastSent(callId, unit, destination);
+  return Boolean(last) && last.hash === hashXml(xml);
+}
+
+/**
+ * Records a successful upload
+ * @param {Object} send - Upload details
+ * @param {string} send.callId - Resgrid Call ID
+ * @param {string} [send.unit] - Unit call sign
+ * @param {string} [send.destination] - Destination name (default: the first destination)
+ * @param {string} send.xml - XML document that was sent
+ * @param {string} send.remoteFile - Remote path the document was uploaded to
+ * @param {string} [send.trigger] - What caused the upload
+ * @param {string} [send.outboxItemId] - Outbox item that was delivered
+ * @returns {Object} The recorded ledger line
+ */
+function recordSent({ callId, unit, destination, xml, remoteFile, trigger, outboxItemId }) {
+  const record = {
+    callId: String(callId),
+    unit: unit || '',
+    destination: resolveDestination(destination),
+    hash: hashXml(xml),
+    remoteFile,
+    trigger,
+    outboxItemId,
+    sentAt: new Date().toISOString()
+  };
+
+  fs.mkdirSync(path.dirname(config.ledger.file), { recursive: true });
+  fs.appendFileSync(config.ledger.file, `${JSON.stringify(record)}\n`);
+  syncLedger();
+
+  return record;
+}
+
+/**
+ * Reads another process's ledger file, e.g. production's for the shadow report
+ * @param {string} file - Ledger file
+ * @param {string} defaultDestination - Destination of lines written before destinations existed
+ * @returns {Array<Object>} Latest send for every call, unit and destination ([] if the file doesn't exist)
+ */
+function readLedgerFile(file, defaultDestination) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Unable to read ledger ${file}: ${error.message}`);
+  }
+
+  const index = new Map();
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const record = JSON.parse(line);
+      applyRecord(index, { ...record, destination: record.destination || defaultDestination });
+    } catch (error) {
+      logger.warn(`Skipping unreadable line of ledger ${file}: ${error.message}`);
+    }
+  }
+  return [...index.values()];
+}
+
+module.exports = {
+  hashXml,
+  getLastSent,
+  getEntries,
+  getCallEntries,
+  isAlreadySent,
+  recordSent,
+  readLedgerFile
+};
@@ -0,0 +1,285 @@
+/**
+ * Prometheus metrics for the Resgrid ESO Bridge
+ *
+ * Counters, gauges and histograms kept in memory and served in the Prometheus
+ * text format on GET /metrics of their own port (METRICS_PORT), which Fly only
+ * exposes to its Prometheus, not through the public HTTP service. Every metric
+ * the bridge exposes is defined at the bottom of this module; the modules that
+ * do the work update them.
+ * Values start from zero whenever the process restarts, which Prometheus'
+ * rate() and increase() handle.
+ */
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Every metric, in the order they are rendered
+const registry = [];
+
+// Functions that refresh gauges just before they are rendered
+const collectors = [];
+
+/**
+ * Builds the key a set of label values is stored under
+ * @param {Array<string>} labelNames - Label names of the metric
+ * @param {Object} labels - Label values
+ * @returns {string} Key
+ */
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])));
+}
+
+/**
+ * Formats label values for the text format
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<string>} values - Label values in the same order
+ * @returns {string} Label set such as {destination="eso"} ('' without labels)
+ */
+function formatLabels(labelNames, values) {
+  if (labelNames.length === 0) {
+    return '';
+  }
+  const pairs = labelNames.map((name, i) => `${name}="${values[i].replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Formats a sample value for the text format
+ * @param {number} value - Sample value
+ * @returns {string} Value
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+/**
+ * Creates a metric and adds it to the registry
+ * @param {string} type - 'counter', 'gauge' or 'histogram'
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} Metric
+ */
+function register(type, name, help, labelNames) {
+  const metric = { type, name, help, labelNames, values: new Map() };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Creates a counter
+ * @param {string} name - Metric name (ending in _total)
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {Object} Counter with an inc(labels, amount) method
+ */
+function counter(name, help, labelNames = []) {
+  const metric = register('counter', name, help, labelNames);
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      metric.values.set(key, (metric.values.get(key) || 0) + amount);
+    }
+  };
+}
+
+/**
+ * Creates a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {Object} Gauge with a set(labels, value) method
+ */
+function gauge(name, help, labelNames = []) {
+  const metric = register('gauge', name, help, labelNames);
+
+  return {
+    set(labels, value) {
+      metric.values.set(labelKey(labelNames, labels), value);
+    }
+  };
+}
+
+/**
+ * Creates a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<number>} buckets - Upper bounds of the buckets, ascending
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {Object} Histogram with an observe(labels, value) method
+ */
+function histogram(name, help, buckets, labelNames = []) {
+  const metric = register('histogram', name, help, labelNames);
+  metric.buckets = [...buckets, Infinity];
+
+  return {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      const series = metric.values.get(key) || { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+
+      metric.buckets.forEach((bound, i) => {
+        if (value <= bound) {
+          series.counts[i]++;
+        }
+      });
+      series.sum += value;
+      series.count++;
+      metric.values.set(key, series);
+    }
+  };
+}
+
+/**
+ * Registers a function that refreshes gauges just before the metrics are rendered
+ * @param {Function} collect - Function called on every scrape
+ */
+function onCollect(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * Renders every metric in the Prometheus text format
+ * @returns {string} Metrics
+ */
+function render() {
+  for (const collect of collectors) {
+    collect();
+  }
+
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    // Metrics without labels are always shown, starting at zero
+    if (metric.values.size === 0 && metric.labelNames.length === 0 && metric.type !== 'histogram') {
+      lines.push(`${metric.name} 0`);
+    }
+
+    for (const [key, value] of metric.values) {
+      const values = JSON.parse(key);
+
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${formatValue(value)}`);
+        continue;
+      }
+
+      const bucketLabels = [...metric.labelNames, 'le'];
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(bucketLabels, [...values, formatValue(bound)])} ${value.counts[i]}`);
+      });
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, values)} ${formatValue(value.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, values)} ${value.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Checks the request's bearer token against METRICS_TOKEN (any request is
+ * allowed when it isn't set)
+ * @param {Object} req - HTTP request
+ * @returns {boolean} True if the request may read the metrics
+ */
+function isAuthorized(req) {
+  if (!config.metrics.token) {
+    return true;
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+
+  // Compare digests so the comparison takes the same time whatever the token
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(config.metrics.token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Handles a request to the metrics server: GET /metrics
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+function handleMetricsRequest(req, res) {
+  if (req.url !== '/metrics') {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
+
+  if (!isAuthorized(req)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' });
+    res.end('Unauthorized');
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET' });
+    res.end('Method Not Allowed');
+    return;
+  }
+
+  try {
+    const body = render();
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+    res.end(body);
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end(`Unable to collect metrics: ${error.message}`);
+  }
+}
+
+// Pipeline metrics
+
+const eventsReceived = counter('bridge_events_received_total', 'Call events received from Resgrid, by source (signalr or poll) and event', ['source', 'event']);
+const incidentsGenerated = counter('bridge_incidents_generated_total', 'Valid ESO incident documents generated and queued, by trigger', ['trigger']);
+const incidentsInvalid = counter('bridge_incidents_invalid_total', 'Generated incident documents dead-lettered because they failed validation', ['trigger']);
+const uploads = counter('bridge_uploads_total', 'Uploads to destinations, by result (success or failure)', ['destination', 'result']);
+const uploadRetries = counter('bridge_upload_retries_total', 'Upload attempts repeated by the outbox after a failure', ['destination']);
+const sheetsWrites = counter('bridge_sheets_writes_total', 'Writes to Google Sheets, by sheet and result', ['sheet', 'result']);
+const tokenRefreshes = counter('bridge_token_refreshes_total', 'Resgrid API token requests, by result', ['result']);
+const callToUploadSeconds = histogram(
+  'bridge_call_to_upload_seconds',
+  'Time from a CallAdded event to the successful upload of its incident',
+  [1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800, 3600],
+  ['destination']
+);
+const signalrConnected = gauge('bridge_signalr_connected', 'Whether the SignalR hub is connected (1) or not (0)');
+const outboxItems = gauge('bridge_outbox_items', 'Incidents in the outbox, by state (pending, inflight and failed make up the backlog)', ['state']);
+const deadLetters = gauge('bridge_dead_letters', 'Incidents in the dead-letter store');
+
+// Process metrics
+
+const processStartTime = gauge('process_start_time_seconds', 'Start time of the process since the epoch in seconds');
+const residentMemory = gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+
+processStartTime.set({}, Math.floor((Date.now() - process.uptime() * 1000) / 1000));
+onCollect(() => residentMemory.set({}, process.memoryUsage().rss));
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  onCollect,
+  render,
+  handleMetricsRequest,
+  eventsReceived,
+  incidentsGenerated,
+  incidentsInvalid,
+  uploads,
+  uploadRetries,
+  sheetsWrites,
+  tokenRefreshes,
+  callToUploadSeconds,
+  signalrConnected,
+  outboxItems,
+  deadLetters
+};
@@ -0,0 +1,577 @@
+/**
+ * Durable outbox for generated ESO incidents
+ *
+ * Every incident that needs to reach ESO is written to disk as a JSON item
+ * before any upload is attempted. Items move between state directories
+ * (pending -> inflight -> sent, or inflight -> failed -> inflight on retry),
+ * so nothing is lost if the process crashes or the Fly machine is redeployed.
+ * Each item is for a single destination, so a destination that keeps failing
+ * doesn't hold back (or cause repeats to) the others. Every delivery is
+ * recorded in the ledger, and items whose document was already sent to their
+ * destination are skipped. Items are delivered oldest first, and a newer item
+ * for the same call, unit and destination supersedes the older ones, so a
+ * stale document never overwrites a newer one at ESO.
+ * Items that still fail after OUTBOX_MAX_ATTEMPTS are moved to the dead-letter store.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { addDeadLetter } = require('./dead-letter');
+const ledger = require('./ledger');
+const metrics = require('./metrics');
+const { toIdPart } = require('./utils/ids');
+
+const STATES = ['pending', 'inflight', 'failed', 'sent'];
+
+let draining = false;
+
+// Oldest waiting item per destination (creation time in ms), as listed by the latest drain pass
+let oldestWaiting = new Map();
+
+/**
+ * Gets the directory that holds items in a given state
+ * @param {string} state - One of STATES
+ * @returns {string} Directory path
+ */
+function stateDir(state) {
+  return path.join(config.outbox.dir, state);
+}
+
+/**
+ * Creates the outbox state directories if they don't exist
+ */
+function ensureOutboxDirs() {
+  for (const state of STATES) {
+    const dir = stateDir(state);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      logger.info(`Created outbox directory: ${dir}`);
+    }
+  }
+}
+
+/**
+ * Writes an item atomically (temp file + rename) into a state directory
+ * @param {string} state - Target state
+ * @param {Object} item - Outbox item
+ */
+function writeItem(state, item) {
+  const filePath = path.join(stateDir(state), `${item.id}.json`);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(item, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Reads an item from a state directory
+ * @param {string} state - State directory to read from
+ * @param {string} id - Item ID
+ * @returns {Object|null} The item, or null if it doesn't exist
+ */
+function readItem(state, id) {
+  const filePath = path.join(stateDir(state), `${id}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read outbox item ${id} (${state}): ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Lists all items in a state, oldest first
+ * @param {string} state - State directory to list
+ * @returns {Array<Object>} Outbox items
+ */
+function listItems(state) {
+  ensureOutboxDirs();
+
+  return fs.readdirSync(stateDir(state))
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => readItem(state, path.basename(name, '.json')))
+    .filter(Boolean);
+}
+
+/**
+ * Moves an item between states. The rename is atomic, so when two workers
+ * race for the same item only one of them gets it.
+ * @param {string} id - Item ID
+ * @param {string} from - Current state
+ * @param {string} to - New state
+ * @returns {boolean} True if this caller moved the item
+ */
+function moveItem(id, from, to) {
+  try {
+    fs.renameSync(
+      path.join(stateDir(from), `${id}.json`),
+      path.join(stateDir(to), `${id}.json`)
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets the key that identifies the incident an item delivers: newer items for
+ * the same key supersede older ones
+ * @param {Object} item - Outbox item
+ * @returns {string} Call ID, unit and destination
+ */
+function incidentKey(item) {
+  return `${item.callId}:${item.unit || ''}:${item.destination || ''}`;
+}
+
+/**
+ * Orders items oldest first (by when they were queued, then by ID)
+ * @param {Object} a - Outbox item
+ * @param {Object} b - Outbox item
+ * @returns {number} Negative if a was queued first
+ */
+function compareItems(a, b) {
+  return String(a.createdAt).localeCompare(String(b.createdAt)) || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Gets when an item was queued from its ID
+ * @param {string} id - Outbox item ID
+ * @returns {number} Milliseconds since the epoch
+ */
+function queuedAt(id) {
+  return Number(String(id).split('-')[0]);
+}
+
+/**
+ * Moves an item that won't be delivered to sent, recording why
+ * @param {Object} item - Outbox item
+ * @param {string} state - State the item is in
+ * @param {string} reason - Why the item was not delivered
+ * @param {Object} [details] - Extra fields to record on the item
+ */
+function retireItem(item, state, reason, details = {}) {
+  Object.assign(item, details, {
+    status: 'sent',
+    skipped: reason,
+    updatedAt: new Date().toISOString()
+  });
+  writeItem(state, item);
+  moveItem(item.id, state, 'sent');
+}
+
+/**
+ * Retires an item that a newer item for the same incident replaces
+ * A forced resend stays forced: the newer item inherits the flag.
+ * @param {Object} item - Older outbox item
+ * @param {string} from - State the older item is in
+ * @param {Object} newer - Newer outbox item
+ * @param {string} newerState - State the newer item is in
+ * @returns {boolean} True if this caller retired the item
+ */
+function supersedeItem(item, from, newer, newerState) {
+  // Another process may have claimed the item since we listed it
+  if (!moveItem(item.id, from, 'inflight')) {
+    return false;
+  }
+
+  retireItem(item, 'inflight', 'superseded', { supersededBy: newer.id });
+  if (item.force && !newer.force) {
+    newer.force = true;
+    writeItem(newerState, newer);
+  }
+
+  logger.info(`Retired outbox item ${item.id} for call ${item.callId}: superseded by ${newer.id}`);
+  return true;
+}
+
+/**
+ * Calculates how long to wait before retrying an item
+ * @param {number} attempts - Number of failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempts) {
+  const delay = config.app.retryDelay * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, config.outbox.maxBackoff);
+}
+
+/**
+ * Adds an incident to the outbox
+ * @param {Object} entry - Incident to deliver
+ * @param {string} entry.callId - Resgrid Call ID
+ * @param {string} [entry.unit] - Unit call sign the incident was generated for
+ * @param {string} entry.filename - File name to use at the destination
+ * @param {string} [entry.destination] - Destination name (default: the first configured destination)
+ * @param {string} entry.xml - Generated XML document
+ * @param {Object} [entry.callData] - Call data used to generate the XML
+ * @param {Object} [entry.callExtraData] - Extra call data from Resgrid
+ * @param {boolean} [entry.force] - Deliver even if the ledger shows the document was already sent
+ * @param {number} [entry.receivedAt] - When the CallAdded event for the call arrived (for the latency metric)
+ * @returns {Object} The stored outbox item
+ */
+function enqueue(entry) {
+  ensureOutboxDirs();
+
+  const now = new Date().toISOString();
+  const item = {
+    id: `${Date.now()}-${toIdPart(entry.callId)}-${crypto.randomBytes(4).toString('hex')}`,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now,
+    lastError: null,
+    ...entry
+  };
+
+  writeItem('pending', item);
+  logger.info(`Queued call ${item.callId} for delivery${item.destination ? ` to ${item.destination}` : ''} (outbox item ${item.id})`);
+
+  for (const older of listItems('pending')) {
+    if (older.id !== item.id && incidentKey(older) === incidentKey(item) && compareItems(older, item) < 0) {
+      supersedeItem(older, 'pending', item, 'pending');
+    }
+  }
+
+  return item;
+}
+
+/**
+ * Checks whether a document is already waiting to be delivered (pending, in
+ * flight or waiting for a retry) for a call, unit and destination
+ * @param {string} callId - Resgrid Call ID
+ * @param {string} unit - Unit call sign ('' when the call has no unit)
+ * @param {string} xml - XML document
+ * @param {string} [destination] - Destination name
+ * @returns {boolean} True if an identical document is queued
+ */
+function isQueued(callId, unit, xml, destination) {
+  const key = incidentKey({ callId, unit, destination });
+  return ['pending', 'inflight', 'failed'].some(state => (
+    listItems(state).some(item => incidentKey(item) === key && item.xml === xml)
+  ));
+}
+
+/**
+ * Moves items left in flight by a previous run back to pending.
+ * Should be called once at startup, before the worker starts.
+ * @returns {number} Number of recovered items
+ */
+function recoverInflight() {
+  const items = listItems('inflight');
+
+  for (const item of items) {
+    if (moveItem(item.id, 'inflight', 'pending')) {
+      logger.warn(`Recovered in-flight outbox item ${item.id} for call ${item.callId}`);
+    }
+  }
+
+  return items.length;
+}
+
+/**
+ * Deletes sent items older than the configured retention period
+ * @returns {number} Number of pruned items
+ */
+function pruneSent() {
+  const cutoff = Date.now() - config.outbox.sentRetentionDays * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+
+  for (const item of listItems('sent')) {
+    if (new Date(item.updatedAt).getTime() < cutoff) {
+      fs.unlinkSync(path.join(stateDir('sent'), `${item.id}.json`));
+      pruned++;
+    }
+  }
+
+  if (pruned > 0) {
+    logger.info(`Pruned ${pruned} sent outbox items older than ${config.outbox.sentRetentionDays} days`);
+  }
+
+  return pruned;
+}
+
+/**
+ * Gets the number of items in each state
+ * @returns {Object} Counts keyed by state
+ */
+function getQueueStats() {
+  ensureOutboxDirs();
+
+  const stats = {};
+  for (const state of STATES) {
+    stats[state] = fs.readdirSync(stateDir(state)).filter(name => name.endsWith('.json')).length;
+  }
+  return stats;
+}
+
+/**
+ * Gets when the oldest item still waiting for each destination was queued, as
+ * of the latest drain pass (so callers like the health checks don't have to
+ * read every item)
+ * @returns {Map<string, number>} Creation time in ms by destination name
+ */
+function getOldestWaiting() {
+  return new Map(oldestWaiting);
+}
+
+/**
+ * Claims a due item and attempts its delivery once
+ * @param {Object} item - Outbox item
+ * @param {string} from - State the item is in ('pending' or 'failed')
+ * @param {Function} deliver - Async function that delivers a single item
+ * @param {Object} summary - Drain summary to update
+ * @returns {Promise<boolean>} False if the delivery attempt failed
+ */
+async function attemptItem(item, from, deliver, summary) {
+  // Another process may have claimed the item since we listed it
+  if (!moveItem(item.id, from, 'inflight')) {
+    return true;
+  }
+
+  // Another process may have sent a newer item for the same incident meanwhile
+  const last = ledger.getLastSent(item.callId, item.unit, item.destination);
+  if (last && last.outboxItemId && last.outboxItemId !== item.id && queuedAt(last.outboxItemId) > Date.parse(item.createdAt)) {
+    retireItem(item, 'inflight', 'superseded', { supersededBy: last.outboxItemId });
+
+    summary.superseded++;
+    logger.info(`Retired outbox item ${item.id} for call ${item.callId}: newer item ${last.outboxItemId} already sent to ${item.destination || 'ESO'}`);
+    return true;
+  }
+
+  // The same document may have been sent by another process since it was queued
+  // (forced resends go out regardless)
+  if (!item.force && ledger.isAlreadySent(item.callId, item.unit, item.xml, item.destination)) {
+    retireItem(item, 'inflight', 'already sent');
+
+    summary.skipped++;
+    logger.info(`Skipped outbox item ${item.id} for call ${item.callId}: identical document already sent to ${item.destination || 'ESO'}`);
+    return true;
+  }
+
+  item.status = 'inflight';
+  item.attempts += 1;
+  item.updatedAt = new Date().toISOString();
+  writeItem('inflight', item);
+
+  if (item.attempts > 1) {
+    metrics.uploadRetries.inc({ destination: item.destination });
+  }
+
+  try {
+    const location = await deliver(item);
+    ledger.recordSent({
+      callId: item.callId,
+      unit: item.unit,
+      destination: item.destination,
+      xml: item.xml,
+      remoteFile: location || item.remotePath,
+      trigger: item.trigger,
+      outboxItemId: item.id
+    });
+
+    item.status = 'sent';
+    item.location = location;
+    item.sentAt = new Date().toISOString();
+    item.updatedAt = item.sentAt;
+    item.lastError = null;
+    writeItem('inflight', item);
+    moveItem(item.id, 'inflight', 'sent');
+
+    if (item.receivedAt) {
+      metrics.callToUploadSeconds.observe({ destination: item.destination }, (Date.now() - item.receivedAt) / 1000);
+    }
+
+    summary.sent++;
+    logger.info(`Delivered outbox item ${item.id} for call ${item.callId} (attempt ${item.attempts})`);
+    return true;
+  } catch (error) {
+    if (item.attempts >= config.outbox.maxAttempts) {
+      // Give up on automatic retries; the item can be replayed from the dead-letter store
+      addDeadLetter({
+        stage: 'delivery',
+        error: error.message,
+        callId: item.callId,
+        unit: item.unit,
+        destination: item.destination,
+        xml: item.xml,
+        trigger: item.trigger,
+        callData: item.callData,
+        callExtraData: item.callExtraData,
+        attempts: item.attempts,
+        outboxItemId: item.id
+      });
+      fs.unlinkSync(path.join(stateDir('inflight'), `${item.id}.json`));
+      summary.deadLettered++;
+      return false;
+    }
+
+    const delay = getBackoffDelay(item.attempts);
+
+    item.status = 'failed';
+    item.lastError = error.message;
+    item.updatedAt = new Date().toISOString();
+    item.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    writeItem('inflight', item);
+    moveItem(item.id, 'inflight', 'failed');
+
+    summary.failed++;
+    logger.error(`Delivery of outbox item ${item.id} for call ${item.callId} failed (attempt ${item.attempts}), retrying in ${delay}ms`, {
+      error: error.message,
+      callId: item.callId
+    });
+    return false;
+  }
+}
+
+/**
+ * Attempts delivery of every item that is due
+ * Each destination's items are delivered oldest first, next to the other
+ * destinations'. Items that a newer item for the same call, unit and
+ * destination replaces are retired instead of sent, except that an older item
+ * still waiting to be retried holds its newer items back until it is due, so
+ * the incident keeps its backoff. After a failed attempt the
+ * rest of that destination's items wait for the next pass, so an unreachable
+ * destination costs one failed attempt per pass and never holds back the others.
+ * @param {Function} deliver - Async function that delivers a single item, resolving with
+ *   where it was delivered; throws on failure (the outbox's backoff handles retries)
+ * @returns {Promise<Object>} Summary with sent, failed, skipped, superseded,
+ *   dead-lettered and deferred (left for the next pass) counts
+ */
+async function drain(deliver) {
+  if (draining) {
+    return { sent: 0, failed: 0, skipped: 0, superseded: 0, deadLettered: 0, deferred: 0 };
+  }
+
+  draining = true;
+  const summary = { sent: 0, failed: 0, skipped: 0, superseded: 0, deadLettered: 0, deferred: 0 };
+
+  try {
+    const now = Date.now();
+    const isDue = ({ item, from }) => from === 'pending' || new Date(item.nextAttemptAt).getTime() <= now;
+    const queued = [
+      ...listItems('pending').map(item => ({ item, from: 'pending' })),
+      ...listItems('failed').map(item => ({ item, from: 'failed' }))
+    ].sort((a, b) => compareItems(a.item, b.item));
+
+    // Sorted oldest first, so the first item seen for a destination is its oldest
+    const oldest = new Map();
+    for (const { item } of queued) {
+      if (!oldest.has(item.destination)) {
+        oldest.set(item.destination, new Date(item.createdAt).getTime());
+      }
+    }
+    oldestWaiting = oldest;
+
+    const latest = new Map();
+    for (const entry of queued) {
+      latest.set(incidentKey(entry.item), entry);
+    }
+
+    const byDestination = new Map();
+    for (const entry of queued) {
+      const key = entry.item.destination || '';
+      byDestination.set(key, [...(byDestination.get(key) || []), entry]);
+    }
+
+    await Promise.all([...byDestination.entries()].map(async ([destination, entries]) => {
+      // Incidents whose oldest item is still waiting to be retried
+      const waiting = new Set();
+      const isDeliverable = entry => latest.get(incidentKey(entry.item)) === entry && isDue(entry) && !waiting.has(incidentKey(entry.item));
+
+      for (let index = 0; index < entries.length; index++) {
+        const { item, from } = entries[index];
+        const newest = latest.get(incidentKey(item));
+
+        if (!isDue(entries[index])) {
+          waiting.add(incidentKey(item));
+          continue;
+        }
+        if (newest.item !== item) {
+          if (supersedeItem(item, from, newest.item, newest.from)) {
+            summary.superseded++;
+          }
+          continue;
+        }
+        if (waiting.has(incidentKey(item))) {
+          continue;
+        }
+
+        if (!(await attemptItem(item, from, deliver, summary))) {
+          const remaining = entries.slice(index + 1).filter(isDeliverable).length;
+          if (remaining > 0) {
+            summary.deferred += remaining;
+            logger.warn(`Left ${remaining} outbox items for ${destination || 'ESO'} until the next pass after a failed delivery`);
+          }
+          return;
+        }
+      }
+    }));
+  } finally {
+    draining = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Starts a background worker that periodically drains the outbox
+ * @param {Function} deliver - Async function that uploads a single item
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.interval] - Drain interval in ms (default: config.outbox.drainInterval)
+ * @returns {Object} Handle with a stop() method
+ */
+function startOutboxWorker(deliver, options = {}) {
+  const interval = options.interval || config.outbox.drainInterval;
+
+  ensureOutboxDirs();
+  const recovered = recoverInflight();
+  pruneSent();
+
+  const stats = getQueueStats();
+  logger.info(`Outbox worker started (pending: ${stats.pending}, failed: ${stats.failed}, recovered: ${recovered})`);
+
+  const tick = () => {
+    drain(deliver).catch(error => {
+      logger.error(`Outbox drain failed: ${error.message}`);
+    });
+  };
+
+  const timer = setInterval(tick, interval);
+  const pruneTimer = setInterval(pruneSent, 60 * 60 * 1000);
+  tick();
+
+  return {
+    stop() {
+      clearInterval(timer);
+      clearInterval(pruneTimer);
+      logger.info('Outbox worker stopped');
+    }
+  };
+}
+
+// Report the backlog on every scrape
+metrics.onCollect(() => {
+  for (const [state, count] of Object.entries(getQueueStats())) {
+    metrics.outboxItems.set({ state }, count);
+  }
+});
+
+module.exports = {
+  enqueue,
+  isQueued,
+  drain,
+  recoverInflight,
+  pruneSent,
+  getQueueStats,
+  getOldestWaiting,
+  listItems,
+  readItem,
+  startOutboxWorker
+};
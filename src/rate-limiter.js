@@ -0,0 +1,35 @@
+/**
+ * Rate limiting for outgoing API requests
+ * Spaces requests evenly so no more than the given number start in any second,
+ * however many callers (listener events, backfill workers) share the limiter.
+ */
+
+/**
+ * Creates a rate limiter
+ * @param {number} requestsPerSecond - Most requests started per second (0 or less for no limit)
+ * @returns {Object} Limiter with an acquire() method that resolves when a request may start
+ */
+function createRateLimiter(requestsPerSecond) {
+  const spacing = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let nextSlot = 0;
+
+  return {
+    /**
+     * Waits for the next free slot
+     * @returns {Promise<void>}
+     */
+    acquire() {
+      if (spacing === 0) {
+        return Promise.resolve();
+      }
+
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + spacing;
+
+      return slot > now ? new Promise(resolve => setTimeout(resolve, slot - now)) : Promise.resolve();
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -4,6 +4,45 @@
 const { apiClient } = require('./token-manager');
 const { logger } = require('./logger');
 
+/**
+ * Gets the list from an API response, which may be wrapped in a Data envelope
+ * @param {Object|Array} body - Response body
+ * @returns {Array|null} The list, or null if the response doesn't contain one
+ */
+function unwrapList(body) {
+  if (Array.isArray(body)) {
+    return body;
+  }
+  return body && Array.isArray(body.Data) ? body.Data : null;
+}
+
+/**
+ * Get the core call record (nature, address, priority, contact) for a call ID
+ * @param {string} callId - The ID of the call to fetch
+ * @returns {Promise<Object>} The call data
+ */
+async function getCall(callId) {
+  try {
+    logger.info(`Fetching call record for Call ID: ${callId}`);
+    
+    const response = await apiClient.get('Calls/GetCall', {
+      params: { callId }
+    });
+    
+    logger.debug(`Successfully retrieved call record for Call ID: ${callId}`);
+    return response.data;
+  } catch (error) {
+    logger.error(`Failed to fetch call record for Call ID: ${callId}`, { 
+      error: error.message,
+      callId,
+      statusCode: error.response?.status
+    });
+    
+    // Rethrow for the caller to handle
+    throw error;
+  }
+}
+
 /**
  * Get detailed call data for a specific call ID
  * @param {string} callId - The ID of the call to fetch
@@ -53,17 +92,7 @@ async function getRecentCalls(days = 7) {
     
     // First try: Use GetCallsInDateRange endpoint
     try {
-      const response = await apiClient.get('Calls/GetCallsInDateRange', {
-        params: {
-          startDate: startDateStr,
-          endDate: endDateStr
-        }
-      });
-      
-      if (Array.isArray(response.data)) {
-        logger.info(`Retrieved ${response.data.length} calls from date range ${startDateStr} to ${endDateStr}`);
-        return response.data;
-      }
+      return await getCallsInDateRange(startDateStr, endDateStr);
     } catch (dateRangeError) {
       logger.warn(`Failed with GetCallsInDateRange: ${dateRangeError.message}, trying fallback method`);
     }
@@ -71,12 +100,9 @@ async function getRecentCalls(days = 7) {
     // Fallback: Try Active calls endpoint
     try {
       logger.info('Trying fallback to Active calls endpoint');
-      const response = await apiClient.get('Calls/Active');
-      
-      if (Array.isArray(response.data)) {
-        logger.info(`Retrieved ${response.data.length} active calls as fallback`);
-        return response.data;
-      }
+      const calls = await getActiveCalls();
+      logger.info(`Retrieved ${calls.length} active calls as fallback`);
+      return calls;
     } catch (activeCalls) {
       logger.warn(`Failed with Active calls endpoint: ${activeCalls.message}`);
     }
@@ -96,6 +122,42 @@ async function getRecentCalls(days = 7) {
   }
 }
 
+/**
+ * Get the calls logged between two dates
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} List of calls
+ */
+async function getCallsInDateRange(startDate, endDate) {
+  const response = await apiClient.get('Calls/GetCallsInDateRange', {
+    params: { startDate, endDate }
+  });
+  
+  const calls = unwrapList(response.data);
+  if (!calls) {
+    throw new Error('Unexpected response format from GetCallsInDateRange endpoint');
+  }
+  
+  logger.info(`Retrieved ${calls.length} calls from date range ${startDate} to ${endDate}`);
+  return calls;
+}
+
+/**
+ * Get the department's open (active) calls
+ * @returns {Promise<Array>} List of active calls
+ */
+async function getActiveCalls() {
+  const response = await apiClient.get('Calls/GetActiveCalls');
+  
+  const calls = unwrapList(response.data);
+  if (!calls) {
+    throw new Error('Unexpected response format from GetActiveCalls endpoint');
+  }
+  
+  logger.debug(`Retrieved ${calls.length} active calls`);
+  return calls;
+}
+
 /**
  * Get units available for dispatch
  * @returns {Promise<Array>} List of units
@@ -106,9 +168,10 @@ async function getUnits() {
     
     const response = await apiClient.get('Units/GetAllUnitsForSystem');
     
-    if (Array.isArray(response.data)) {
-      logger.info(`Retrieved ${response.data.length} units`);
-      return response.data;
+    const units = unwrapList(response.data);
+    if (units) {
+      logger.info(`Retrieved ${units.length} units`);
+      return units;
     } else {
       logger.warn('Unexpected response format from GetAllUnitsForSystem endpoint');
       return [];
@@ -124,4 +187,43 @@ async function getUnits() {
   }
 }
 
-module.exports = { getCallExtraData, getRecentCalls, getUnits };
\ No newline at end of file
+/**
+ * Get the department's unit status definitions (including custom statuses)
+ * @returns {Promise<Object>} The status definitions response
+ */
+async function getUnitStatusDefinitions() {
+  try {
+    logger.info('Fetching unit status definitions');
+    
+    const response = await apiClient.get('UnitStatus/GetAllUnitStatusDefinitions');
+    
+    logger.debug('Successfully retrieved unit status definitions');
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to fetch unit status definitions', {
+      error: error.message,
+      statusCode: error.response?.status
+    });
+    
+    // Rethrow for the caller to handle
+    throw error;
+  }
+}
+
+/**
+ * Get the current status of every unit in the department
+ * @returns {Promise<Array>} Unit statuses (UnitId, UnitName, StatusId, StatusText, Timestamp)
+ */
+async function getUnitStatuses() {
+  const response = await apiClient.get('UnitStatus/GetAllUnitStatuses');
+  
+  const statuses = unwrapList(response.data);
+  if (!statuses) {
+    throw new Error('Unexpected response format from GetAllUnitStatuses endpoint');
+  }
+  
+  logger.debug(`Retrieved ${statuses.length} unit statuses`);
+  return statuses;
+}
+
+module.exports = { getCall, getCallExtraData, getRecentCalls, getCallsInDateRange, getActiveCalls, getUnits, getUnitStatuses, getUnitStatusDefinitions };
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * Utility for retry mechanisms
  */
-const logger = require('./logger');
+const { logger } = require('./logger');
 
 /**
  * Executes an async function with retry logic
@@ -14,6 +14,7 @@ const logger = require('./logger');
  * @param {boolean} options.exponential - Whether to use exponential backoff (default: true)
  * @param {Function} options.shouldRetry - Function to determine if retry should be attempted (default: always retry)
  * @param {string} options.operationName - Name of the operation for logging (default: 'operation')
+ * @param {Function} options.onRetry - Called with the error before each retry (optional)
  * @returns {Promise<*>} - Result of the function call
  */
 async function withRetry(fn, options = {}) {
@@ -23,7 +24,8 @@ async function withRetry(fn, options = {}) {
     maxDelay = 30000,
     exponential = true,
     shouldRetry = () => true,
-    operationName = 'operation'
+    operationName = 'operation',
+    onRetry
   } = options;
 
   let retryCount = 0;
@@ -55,6 +57,9 @@ async function withRetry(fn, options = {}) {
       }
       
       logger.warn(`${operationName} failed, retrying in ${delay}ms: ${error.message}`);
+      if (onRetry) {
+        onRetry(error);
+      }
       
       // Wait before next retry
       await new Promise(resolve => setTimeout(resolve, delay));
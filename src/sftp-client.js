@@ -1,13 +1,179 @@
-const SftpClient = require('ssh2-sftp-client');
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
 const { config } = require('./config');
 const { logger } = require('./logger');
-const { withRetry } = require('./retry-util');
 
 // In-memory cache for file fingerprints
 const fileFingerprints = new Map();
 
+let warnedUnpinned = false;
+
+// Uploads are written under this suffix and renamed into place once complete,
+// so ESO's importer never picks up a half-written file
+const PARTIAL_SUFFIX = '.part';
+
+// Leftover partial uploads older than this are removed on connect; younger ones
+// may still be in progress from another process
+const PARTIAL_MAX_AGE = 10 * 60 * 1000;
+
+/**
+ * Loads the SFTP private key from a key file or the key itself
+ * @param {Object} settings - SFTP settings (privateKeyPath / privateKey)
+ * @returns {string|Buffer|null} The private key, or null for password auth
+ */
+function loadPrivateKey(settings) {
+  if (settings.privateKeyPath) {
+    try {
+      return fs.readFileSync(settings.privateKeyPath);
+    } catch (error) {
+      throw new Error(`Unable to read SFTP private key ${settings.privateKeyPath}: ${error.message}`);
+    }
+  }
+
+  if (settings.privateKey) {
+    // Secrets often hold the PEM with escaped newlines, or base64-encoded
+    if (settings.privateKey.includes('-----BEGIN')) {
+      return settings.privateKey.replace(/\\n/g, '\n');
+    }
+    return Buffer.from(settings.privateKey, 'base64');
+  }
+
+  return null;
+}
+
+/**
+ * Calculates an OpenSSH-style SHA256 fingerprint for a host key
+ * @param {Buffer} hostKey - Raw host key presented by the server
+ * @returns {string} Fingerprint, e.g. "SHA256:nThbg6kXUpJWGl7E1IGOCspRomTxdCARLviKw6E5SY8"
+ */
+function getHostKeyFingerprint(hostKey) {
+  return `SHA256:${crypto.createHash('sha256').update(hostKey).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Checks a host key against the pinned fingerprints
+ * @param {Buffer} hostKey - Raw host key presented by the server
+ * @param {string} host - Host name (for logging)
+ * @param {Array<string>} hostFingerprints - Accepted fingerprints
+ * @returns {boolean} True if the key matches one of the fingerprints
+ */
+function verifyHostKey(hostKey, host, hostFingerprints) {
+  const fingerprint = getHostKeyFingerprint(hostKey);
+  const expected = hostFingerprints.map(f => (f.startsWith('SHA256:') ? f : `SHA256:${f}`).replace(/=+$/, ''));
+
+  if (expected.includes(fingerprint)) {
+    logger.debug(`SFTP host key for ${host} matches pinned fingerprint ${fingerprint}`);
+    return true;
+  }
+
+  logger.error(`SFTP host key for ${host} does not match SFTP_HOST_FINGERPRINT (server presented ${fingerprint}), refusing to connect`);
+  return false;
+}
+
+/**
+ * Builds the connection options for ssh2-sftp-client from the SFTP config:
+ * password or private key auth, host key pinning when a fingerprint is set, and
+ * SSH keepalives. Every upload path should connect with these options.
+ * @param {Object} [overrides] - Settings that replace the configured ones (host, port,
+ *   username, password, privateKeyPath, privateKey, passphrase, hostFingerprints,
+ *   keepaliveInterval)
+ * @returns {Object} Connection options
+ */
+function getSftpConnectOptions(overrides = {}) {
+  const settings = { ...config.sftp };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  }
+
+  const options = {
+    host: settings.host,
+    port: settings.port,
+    username: settings.username,
+    // Detect a dead connection instead of waiting on it
+    keepaliveInterval: settings.keepaliveInterval,
+    keepaliveCountMax: 3
+  };
+
+  if (settings.password) {
+    options.password = settings.password;
+  }
+
+  const privateKey = loadPrivateKey(settings);
+  if (privateKey) {
+    options.privateKey = privateKey;
+    if (settings.passphrase) {
+      options.passphrase = settings.passphrase;
+    }
+  }
+
+  const hostFingerprints = [].concat(settings.hostFingerprints || []);
+  if (hostFingerprints.length > 0) {
+    options.hostVerifier = hostKey => verifyHostKey(hostKey, options.host, hostFingerprints);
+  } else if (!warnedUnpinned) {
+    warnedUnpinned = true;
+    logger.warn('SFTP_HOST_FINGERPRINT is not set; the SFTP server host key is not verified');
+  }
+
+  return options;
+}
+
+/**
+ * Uploads a file atomically: writes it under a temporary name, checks the
+ * remote size matches, then renames it to its final name
+ * @param {Object} sftp - Connected ssh2-sftp-client instance
+ * @param {string|Buffer} source - Local file to upload, or the file content
+ * @param {string} remoteFilePath - Final remote path
+ * @returns {Promise<void>}
+ */
+async function putAtomic(sftp, source, remoteFilePath) {
+  const partialPath = `${remoteFilePath}${PARTIAL_SUFFIX}`;
+  const localSize = Buffer.isBuffer(source) ? source.length : fs.statSync(source).size;
+
+  await sftp.put(source, partialPath);
+
+  const remoteSize = (await sftp.stat(partialPath)).size;
+  if (remoteSize !== localSize) {
+    await sftp.delete(partialPath, true);
+    throw new Error(`Incomplete upload of ${remoteFilePath}: ${remoteSize} of ${localSize} bytes written`);
+  }
+
+  // Some servers refuse to rename over an existing file
+  if (await sftp.exists(remoteFilePath)) {
+    await sftp.delete(remoteFilePath);
+  }
+  await sftp.rename(partialPath, remoteFilePath);
+  logger.debug(`Verified ${remoteSize} bytes and renamed ${partialPath} to ${remoteFilePath}`);
+}
+
+/**
+ * Removes partial uploads left in a remote directory by an interrupted transfer
+ * @param {Object} sftp - Connected ssh2-sftp-client instance
+ * @param {string} remoteDir - Remote directory to clean
+ * @returns {Promise<number>} Number of files removed
+ */
+async function cleanupPartialUploads(sftp, remoteDir) {
+  let removed = 0;
+
+  try {
+    const cutoff = Date.now() - PARTIAL_MAX_AGE;
+    const leftovers = await sftp.list(remoteDir, item => item.name.endsWith(PARTIAL_SUFFIX) && item.modifyTime < cutoff);
+
+    for (const item of leftovers) {
+      await sftp.delete(`${remoteDir}/${item.name}`, true);
+      logger.warn(`Removed partial upload left by an interrupted transfer: ${remoteDir}/${item.name}`);
+      removed++;
+    }
+  } catch (error) {
+    // Never fail an upload because the cleanup didn't work
+    logger.warn(`Unable to clean up partial uploads in ${remoteDir}: ${error.message}`);
+  }
+
+  return removed;
+}
+
 /**
  * Calculates a fingerprint (SHA-256 hash) for a file
  * @param {string} filePath - Path to the file
@@ -69,7 +235,8 @@ async function hasFileChanged(filePath, remoteFilePath) {
 }
 
 /**
- * Uploads a file to the SFTP server with enhanced retry logic
+ * Uploads a file to the SFTP server in a single attempt; retrying is up to the
+ * caller (deliveries go through the outbox, which retries with its backoff)
  * @param {string} localFilePath - The local path to the file to upload
  * @param {string} remoteFilePath - The remote path where the file should be saved
  * @returns {Promise<boolean>} - True if successful, false if unchanged, throws error otherwise
@@ -83,74 +250,21 @@ async function uploadFileToSFTP(localFilePath, remoteFilePath) {
     return false; // File has not changed, no need to upload
   }
   
-  return withRetry(
-    async () => {
-      const sftp = new SftpClient();
-      
-      try {
-        logger.info(`Connecting to SFTP server at ${config.sftp.host}:${config.sftp.port}`);
-        
-        await sftp.connect({
-          host: config.sftp.host,
-          port: config.sftp.port,
-          username: config.sftp.username,
-          password: config.sftp.password,
-          retries: 3,
-          retry_factor: 2,
-          retry_minTimeout: 2000
-        });
-        
-        logger.info(`Connected to SFTP server. Uploading file to ${remoteFilePath}`);
-        
-        // Check if the remote directory exists
-        const remoteDir = remoteFilePath.substring(0, remoteFilePath.lastIndexOf('/'));
-        const dirExists = await sftp.exists(remoteDir);
-        
-        // Create directory if it doesn't exist
-        if (!dirExists) {
-          logger.info(`Remote directory ${remoteDir} does not exist. Creating it...`);
-          await sftp.mkdir(remoteDir, true);
-        }
-        
-        // Upload the file
-        await sftp.put(localFilePath, remoteFilePath);
-        logger.info(`File successfully uploaded to ${remoteFilePath}`);
-        
-        return true;
-      } catch (error) {
-        logger.error(`SFTP upload failed: ${error.message}`, { error });
-        throw error;
-      } finally {
-        // Always disconnect from the SFTP server
-        try {
-          await sftp.end();
-          logger.info('Disconnected from SFTP server');
-        } catch (endError) {
-          logger.warn(`Error disconnecting from SFTP server: ${endError.message}`);
-        }
-      }
-    },
-    {
-      maxRetries: 5,
-      initialDelay: 3000,
-      maxDelay: 60000,
-      exponential: true,
-      operationName: 'SFTP file upload',
-      shouldRetry: (error) => {
-        // Retry on network errors, timeout errors, or connection errors
-        // Don't retry on authentication errors or permission errors
-        const nonRetryableErrors = [
-          'authentication', 'permission denied', 'invalid credentials',
-          'authorization', 'access denied'
-        ];
-        
-        // Check if the error message contains any non-retryable phrases
-        return !nonRetryableErrors.some(phrase => 
-          error.message.toLowerCase().includes(phrase)
-        );
-      }
-    }
-  );
+  // Same connection handling, atomic writes and single attempt as every other SFTP delivery
+  // (required here because the SFTP transport itself builds on this module)
+  const { createTransport } = require('./transports');
+  const transport = createTransport({
+    name: 'sftp',
+    type: 'sftp',
+    remotePath: path.posix.dirname(remoteFilePath)
+  });
+  
+  try {
+    await transport.send(path.posix.basename(remoteFilePath), fs.readFileSync(localFilePath));
+  } finally {
+    await transport.close();
+  }
+  return true;
 }
 
 /**
@@ -181,6 +295,12 @@ function clearFingerprintCache(filePath) {
 }
 
 module.exports = { 
+  getSftpConnectOptions,
+  getHostKeyFingerprint,
+  putAtomic,
+  cleanupPartialUploads,
+  PARTIAL_SUFFIX,
+  PARTIAL_MAX_AGE,
   uploadFileToSFTP,
   hasFileChanged,
   calculateFileFingerprint,
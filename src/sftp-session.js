@@ -0,0 +1,175 @@
+/**
+ * Managed SFTP session
+ *
+ * Opening a connection per file is slow and, during a backfill or a burst of
+ * calls, can trip the server's connection limit. A session keeps one
+ * authenticated connection open and shares it between uploads: operations run
+ * one at a time, the connection is kept alive with SSH keepalives, closed after
+ * SFTP_IDLE_TIMEOUT without use and opened again when it is next needed. If the
+ * connection drops, the session reconnects and retries the operation once.
+ * Remote directories that exist are remembered for the life of the connection.
+ */
+const SftpClient = require('ssh2-sftp-client');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { getSftpConnectOptions, cleanupPartialUploads } = require('./sftp-client');
+
+// Error codes (ssh2-sftp-client and socket) that mean the connection is gone
+const CONNECTION_ERROR_CODES = ['ERR_NOT_CONNECTED', 'ECONNRESET', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT'];
+
+/**
+ * Checks whether an error means the connection was lost
+ * @param {Error} error - Error thrown by an operation
+ * @returns {boolean} True if reconnecting may fix it
+ */
+function isConnectionError(error) {
+  return CONNECTION_ERROR_CODES.includes(error.code) ||
+    /no sftp connection|not connected|connection (lost|closed|reset)|unexpected (end|close) event|keepalive timeout/i.test(error.message);
+}
+
+class SftpSession {
+  /**
+   * @param {Object} [connectOptions] - Settings that replace the SFTP_* ones (see getSftpConnectOptions)
+   * @param {Object} [options] - Session options
+   * @param {number} [options.idleTimeout] - Close the connection after this many ms unused
+   *   (default: config.sftp.idleTimeout)
+   */
+  constructor(connectOptions = {}, options = {}) {
+    this.connectOptions = connectOptions;
+    this.idleTimeout = options.idleTimeout || config.sftp.idleTimeout;
+    this.client = null;
+    this.connected = false;
+    this.directories = new Set();
+    this.idleTimer = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Runs an operation on the shared connection, after any operations already queued
+   * @param {Function} operation - Async function called with this session's connected client
+   * @returns {Promise<*>} The operation's result
+   */
+  run(operation) {
+    return this.enqueue(() => this.execute(operation));
+  }
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async execute(operation) {
+    clearTimeout(this.idleTimer);
+
+    try {
+      const reused = this.connected;
+      try {
+        return await operation(await this.connect());
+      } catch (error) {
+        // Start the next operation on a clean connection
+        await this.disconnect();
+        if (!reused || !isConnectionError(error)) {
+          throw error;
+        }
+
+        logger.warn(`SFTP connection to ${this.host} was lost (${error.message}), reconnecting`);
+        try {
+          return await operation(await this.connect());
+        } catch (retryError) {
+          await this.disconnect();
+          throw retryError;
+        }
+      }
+    } finally {
+      this.scheduleIdleClose();
+    }
+  }
+
+  async connect() {
+    if (this.connected) {
+      return this.client;
+    }
+
+    const options = getSftpConnectOptions(this.connectOptions);
+    const client = new SftpClient();
+    this.host = options.host;
+
+    logger.info(`Connecting to SFTP server: ${options.host}`);
+    await client.connect(options);
+
+    client.on('close', () => {
+      if (this.client === client) {
+        logger.info(`SFTP connection to ${this.host} closed`);
+        this.resetConnection();
+      }
+    });
+
+    this.client = client;
+    this.connected = true;
+    return client;
+  }
+
+  /**
+   * Creates a remote directory if needed and removes stale partial uploads from it,
+   * once per connection
+   * @param {string} remoteDir - Remote directory
+   * @returns {Promise<void>}
+   */
+  async ensureDirectory(remoteDir) {
+    if (this.directories.has(remoteDir)) {
+      return;
+    }
+
+    if (!(await this.client.exists(remoteDir))) {
+      logger.info(`Remote directory ${remoteDir} does not exist, creating it`);
+      await this.client.mkdir(remoteDir, true);
+    }
+    await cleanupPartialUploads(this.client, remoteDir);
+
+    this.directories.add(remoteDir);
+  }
+
+  scheduleIdleClose() {
+    clearTimeout(this.idleTimer);
+    if (!this.connected) {
+      return;
+    }
+
+    this.idleTimer = setTimeout(() => {
+      logger.info(`Closing idle SFTP connection to ${this.host}`);
+      this.enqueue(() => this.disconnect());
+    }, this.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  resetConnection() {
+    this.client = null;
+    this.connected = false;
+    this.directories.clear();
+  }
+
+  async disconnect() {
+    const client = this.client;
+    this.resetConnection();
+    clearTimeout(this.idleTimer);
+
+    if (client) {
+      try {
+        await client.end();
+      } catch (error) {
+        // Ignore errors during disconnection
+      }
+    }
+  }
+
+  /**
+   * Closes the connection once queued operations have finished
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.enqueue(() => this.disconnect());
+  }
+}
+
+module.exports = { SftpSession };
@@ -0,0 +1,220 @@
+/**
+ * Shadow run report for the Resgrid ESO Bridge
+ *
+ * A shadow run (SHADOW_MODE=true) takes live Resgrid events through the whole
+ * pipeline, but delivers to its own destinations and keeps its outbox, ledger
+ * and other state under SHADOW_DIR. This module compares the latest document
+ * the shadow produced for each call and unit with the latest one production
+ * sent. Both ledgers record a hash of every document, so matches are always
+ * found; the documents themselves come from the sent outbox items, which are
+ * kept for OUTBOX_SENT_RETENTION_DAYS, and are needed to list which elements
+ * differ.
+ */
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const ledger = require('./ledger');
+const outbox = require('./outbox');
+const { listDeadLetters } = require('./dead-letter');
+const { selectFields } = require('./transports');
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', parseTagValue: false });
+
+/**
+ * Indexes sent documents by their ledger hash
+ * @param {Array<Object>} items - Sent outbox items
+ * @returns {Map} Hash -> XML
+ */
+function indexDocuments(items) {
+  const documents = new Map();
+  for (const item of items) {
+    if (item.xml) {
+      documents.set(ledger.hashXml(item.xml), item.xml);
+    }
+  }
+  return documents;
+}
+
+/**
+ * Reads the documents another process's outbox still keeps as sent
+ * @param {string} outboxDir - That process's outbox directory
+ * @returns {Array<Object>} Sent outbox items ([] if there are none)
+ */
+function readSentItems(outboxDir) {
+  const dir = path.join(outboxDir, 'sent');
+  let names;
+  try {
+    names = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read sent outbox items in ${dir}: ${error.message}`);
+    }
+    return [];
+  }
+
+  return names
+    .map(name => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      } catch (error) {
+        logger.warn(`Skipping unreadable outbox item ${name}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Gets the elements of a CadIncident document
+ * @param {string} xml - CadIncident document
+ * @returns {Map} Element name -> value (as text)
+ */
+function readElements(xml) {
+  const parsed = parser.parse(xml);
+  const rootName = Object.keys(parsed).find(name => !name.startsWith('?'));
+  const root = (rootName && parsed[rootName]) || {};
+  const elements = new Map();
+
+  for (const [name, value] of Object.entries(root)) {
+    // Namespace declarations aren't elements
+    if (!/^xmlns(:|$)/.test(name)) {
+      elements.set(name, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+  }
+  return elements;
+}
+
+/**
+ * Lists the elements that differ between two documents
+ * @param {string} productionXml - Document production sent
+ * @param {string} shadowXml - Document the shadow produced
+ * @returns {Array<Object>} Differences: { element, production, shadow } (null where an element is missing)
+ */
+function diffDocuments(productionXml, shadowXml) {
+  const production = readElements(productionXml);
+  const shadow = readElements(shadowXml);
+  const differences = [];
+
+  for (const element of new Set([...production.keys(), ...shadow.keys()])) {
+    const productionValue = production.has(element) ? production.get(element) : null;
+    const shadowValue = shadow.has(element) ? shadow.get(element) : null;
+    if (productionValue !== shadowValue) {
+      differences.push({ element, production: productionValue, shadow: shadowValue });
+    }
+  }
+  return differences;
+}
+
+/**
+ * Gets the production destination the shadow is compared with
+ * @param {string} [name] - Destination name (default: production's first destination)
+ * @returns {Object} Destination
+ */
+function getProductionDestination(name) {
+  const destinations = config.shadow.production.destinations;
+  if (!name) {
+    return destinations[0];
+  }
+
+  const destination = destinations.find(d => d.name === name);
+  if (!destination) {
+    throw new Error(`Unknown production destination "${name}" (available: ${destinations.map(d => d.name).join(', ')})`);
+  }
+  return destination;
+}
+
+/**
+ * Compares what the shadow produced with what production sent
+ * @param {Object} [options] - Report options
+ * @param {Date} [options.since] - Only compare sends from this time (default: the shadow's first send)
+ * @param {Array<string>} [options.callIds] - Only compare these calls
+ * @param {string} [options.destination] - Production destination to compare with (default: the first)
+ * @returns {Object} Report: since, destinations, summary counts and one entry per call and unit
+ */
+function compareWithProduction({ since, callIds = [], destination } = {}) {
+  if (!config.shadow.enabled) {
+    throw new Error('The shadow report reads the shadow\'s state, so it needs SHADOW_MODE=true (use the shadow\'s configuration)');
+  }
+
+  const productionDestination = getProductionDestination(destination);
+  const shadowDestination = config.destinations[0];
+  const wanted = new Set(callIds.map(String));
+  const selected = entry => wanted.size === 0 || wanted.has(String(entry.callId));
+
+  const shadowEntries = ledger.getEntries().filter(entry => entry.destination === shadowDestination.name && selected(entry));
+  const productionEntries = ledger.readLedgerFile(config.shadow.production.ledgerFile, productionDestination.name)
+    .filter(entry => entry.destination === productionDestination.name && selected(entry));
+
+  // Without a start time, compare from when the shadow first sent something
+  const firstShadowSend = shadowEntries.map(entry => entry.firstSentAt).sort()[0];
+  const start = since ? since.toISOString() : firstShadowSend;
+  const inRange = entry => Boolean(start) && entry.sentAt >= start;
+
+  const shadowDocuments = indexDocuments(outbox.listItems('sent'));
+  const productionDocuments = indexDocuments(readSentItems(config.shadow.production.outboxDir));
+  const shadowFailures = listDeadLetters();
+
+  const incidents = new Map();
+  const incidentFor = entry => {
+    const key = `${entry.callId}:${entry.unit}`;
+    if (!incidents.has(key)) {
+      incidents.set(key, { callId: entry.callId, unit: entry.unit, production: null, shadow: null });
+    }
+    return incidents.get(key);
+  };
+  shadowEntries.filter(inRange).forEach(entry => { incidentFor(entry).shadow = entry; });
+  productionEntries.filter(inRange).forEach(entry => { incidentFor(entry).production = entry; });
+
+  const summary = { compared: incidents.size, same: 0, different: 0, shadowOnly: 0, productionOnly: 0 };
+  const results = [];
+
+  for (const { callId, unit, production, shadow } of incidents.values()) {
+    const result = {
+      callId,
+      unit,
+      productionSentAt: production ? production.sentAt : null,
+      shadowSentAt: shadow ? shadow.sentAt : null
+    };
+
+    if (production && shadow) {
+      const productionXml = productionDocuments.get(production.hash);
+      // The shadow's document is cut down to the production destination's fields before comparing
+      const shadowXml = shadowDocuments.has(shadow.hash) ? selectFields(productionDestination, shadowDocuments.get(shadow.hash)) : null;
+      const same = shadowXml ? ledger.hashXml(shadowXml) === production.hash : shadow.hash === production.hash;
+
+      result.status = same ? 'same' : 'different';
+      if (!same) {
+        result.differences = productionXml && shadowXml ? diffDocuments(productionXml, shadowXml) : null;
+      }
+      summary[result.status]++;
+    } else if (shadow) {
+      result.status = 'shadow only';
+      summary.shadowOnly++;
+    } else {
+      result.status = 'production only';
+      summary.productionOnly++;
+
+      // Explain incidents the shadow couldn't produce, e.g. because the new mapping made them invalid
+      const failure = shadowFailures.find(entry => String(entry.callId) === String(callId) && (entry.unit || '') === unit);
+      if (failure) {
+        result.shadowError = `${failure.stage}: ${failure.error}`;
+      }
+    }
+
+    results.push(result);
+  }
+
+  results.sort((a, b) => String(a.callId).localeCompare(String(b.callId), undefined, { numeric: true }) || a.unit.localeCompare(b.unit));
+
+  return {
+    since: start || null,
+    productionDestination: productionDestination.name,
+    shadowDestination: shadowDestination.name,
+    summary,
+    incidents: results
+  };
+}
+
+module.exports = { diffDocuments, compareWithProduction };
@@ -6,16 +6,27 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./fix-logger');
+const { config } = require('./config');
+const metrics = require('./metrics');
 
 // Google Sheets API setup
 let sheetsClient = null;
 let spreadsheetId = process.env.LOG_SHEET_ID;
 
+// Outcome of the latest writes, reported by the health checks
+let lastWriteAt = null;
+let lastError = null;
+let lastErrorAt = null;
+
 // Sheet names and headers
 const LOGS_SHEET_NAME = 'Logs';
 const LOGS_HEADERS = ['Timestamp', 'Level', 'Message'];
 
-const CALLS_SHEET_NAME = 'Call Data';
+// Shadow runs (SHADOW_MODE) only write call rows, to SHADOW_SHEETS_TAB, and nothing without one
+const SHADOW_MODE = config.shadow.enabled;
+const SHADOW_SHEETS_TAB = config.shadow.sheetsTab;
+
+const CALLS_SHEET_NAME = SHADOW_MODE ? SHADOW_SHEETS_TAB : 'Call Data';
 const CALLS_HEADERS = [
   'Timestamp',
   'Call ID',
@@ -51,6 +62,11 @@ const CALLS_HEADERS = [
  */
 async function initialize() {
   try {
+    // Shadow runs without a tab of their own don't use Sheets
+    if (SHADOW_MODE && !SHADOW_SHEETS_TAB) {
+      return false;
+    }
+
     // Skip if already initialized
     if (sheetsClient) {
       return true;
@@ -88,8 +104,7 @@ async function initialize() {
         sheetsClient = google.sheets({ version: 'v4', auth: authClient });
         
         // Ensure the sheets exist with correct headers
-        await ensureSheetExists(LOGS_SHEET_NAME, LOGS_HEADERS);
-        await ensureSheetExists(CALLS_SHEET_NAME, CALLS_HEADERS);
+        await ensureSheets();
         
         logger.info('Google Sheets logging initialized successfully');
         return true;
@@ -178,8 +193,7 @@ async function initialize() {
     sheetsClient = google.sheets({ version: 'v4', auth: authClient });
     
     // Ensure the sheets exist with correct headers
-    await ensureSheetExists(LOGS_SHEET_NAME, LOGS_HEADERS);
-    await ensureSheetExists(CALLS_SHEET_NAME, CALLS_HEADERS);
+    await ensureSheets();
     
     logger.info('Google Sheets logging initialized successfully');
     return true;
@@ -189,6 +203,17 @@ async function initialize() {
   }
 }
 
+/**
+ * Ensure the sheets this process writes to exist (shadow runs only write call rows)
+ * @returns {Promise<void>}
+ */
+async function ensureSheets() {
+  if (!SHADOW_MODE) {
+    await ensureSheetExists(LOGS_SHEET_NAME, LOGS_HEADERS);
+  }
+  await ensureSheetExists(CALLS_SHEET_NAME, CALLS_HEADERS);
+}
+
 /**
  * Ensure that a sheet exists and has the correct headers
  * @param {string} sheetName - Name of the sheet to check/create
@@ -251,6 +276,11 @@ async function ensureSheetExists(sheetName, headers) {
  * @returns {Promise<boolean>} Success status
  */
 async function sheetLog(message, level = 'info') {
+  // Shadow runs keep their logs out of the production Logs sheet
+  if (SHADOW_MODE) {
+    return false;
+  }
+
   try {
     if (!sheetsClient) {
       if (!(await initialize())) {
@@ -271,8 +301,10 @@ async function sheetLog(message, level = 'info') {
       },
     });
 
+    recordWrite(LOGS_SHEET_NAME);
     return true;
   } catch (error) {
+    recordError(LOGS_SHEET_NAME, error);
     console.error(`Error logging to Google Sheets: ${error.message}`);
     return false;
   }
@@ -431,8 +463,9 @@ async function sheetCallRow(callData, extraData = {}) {
     
     // Extract unit times from Activity array
     if (extraGetData.Activity && Array.isArray(extraGetData.Activity)) {
+      // Only use the selected unit's activity so each unit's row gets its own times
       const validUnitActivities = extraGetData.Activity.filter(a => 
-        a.Type === 'Unit' && a.Timestamp && a.StatusId
+        a.Type === 'Unit' && a.Timestamp && a.StatusId && (!unitName || a.Name === unitName)
       );
       
       // Map StatusId values directly (based on Resgrid API docs and logs)
@@ -610,13 +643,49 @@ async function sheetCallRow(callData, extraData = {}) {
       });
     }
 
+    recordWrite(CALLS_SHEET_NAME);
     return true;
   } catch (error) {
+    recordError(CALLS_SHEET_NAME, error);
     console.error(`Error logging call data to Google Sheets: ${error.message}`);
     return false;
   }
 }
 
+/**
+ * Records a successful write
+ * @param {string} sheetName - Sheet written to
+ */
+function recordWrite(sheetName) {
+  lastWriteAt = new Date().toISOString();
+  lastError = null;
+  metrics.sheetsWrites.inc({ sheet: sheetName, result: 'success' });
+}
+
+/**
+ * Records a failed write
+ * @param {string} sheetName - Sheet being written to
+ * @param {Error} error - Why the write failed
+ */
+function recordError(sheetName, error) {
+  lastError = error.message;
+  lastErrorAt = new Date().toISOString();
+  metrics.sheetsWrites.inc({ sheet: sheetName, result: 'failure' });
+}
+
+/**
+ * Gets the state of Google Sheets logging
+ * @returns {Object} Whether logging is enabled and the outcome of the latest writes
+ */
+function getSheetsStatus() {
+  return {
+    enabled: sheetsClient !== null,
+    lastWriteAt,
+    lastError,
+    lastErrorAt
+  };
+}
+
 // Initialize on module load
 initialize().catch(err => {
   console.error('Failed to initialize Google Sheets logger:', err);
@@ -624,5 +693,6 @@ initialize().catch(err => {
 
 module.exports = {
   sheetLog,
-  sheetCallRow
+  sheetCallRow,
+  getSheetsStatus
 };
\ No newline at end of file
@@ -2,13 +2,24 @@ const signalR = require('@microsoft/signalr');
 const { logger } = require('./logger');
 const { config } = require('./config');
 
+/**
+ * Gets the delay before the next reconnect attempt (exponential backoff, capped at 30 seconds)
+ * @param {number} attempt - Number of attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectDelay(attempt) {
+  return Math.min(Math.pow(2, attempt) * 1000, 30000);
+}
+
 class SignalRClient {
   constructor() {
     this.connection = null;
-    this.callAddedCallback = null;
+    this.handlers = {};
+    this.connectedCallback = null;
+    this.disconnectedCallback = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
-    this.reconnectDelay = 5000; // 5 seconds
+    this.hasConnected = false;
+    this.stopped = false;
   }
 
   async connect() {
@@ -18,73 +29,105 @@ class SignalRClient {
       this.connection = new signalR.HubConnectionBuilder()
         .withUrl(config.resgrid.eventsUrl)
         .withAutomaticReconnect({
-          nextRetryDelayInMilliseconds: retryContext => {
-            if (retryContext.elapsedMilliseconds > 60000) {
-              // If we've been trying to reconnect for more than 60 seconds, stop
-              return null;
-            }
-            // Implement exponential backoff
-            return Math.min(Math.pow(2, retryContext.previousRetryCount) * 1000, 30000);
-          }
+          // Keep retrying for as long as the outage lasts; missed calls are
+          // reconciled by the catch-up run once the connection is back
+          nextRetryDelayInMilliseconds: retryContext => getReconnectDelay(retryContext.previousRetryCount)
         })
         .configureLogging(signalR.LogLevel.Information)
         .build();
 
       // Add event handlers
-      this.connection.on('CallAdded', (callData) => {
-        if (this.callAddedCallback) {
-          this.callAddedCallback(callData);
-        }
-      });
+      for (const [eventName, handler] of Object.entries(this.handlers)) {
+        this.connection.on(eventName, handler);
+      }
 
       // Add connection status handlers
       this.connection.onreconnecting((error) => {
         logger.warn(`SignalR connection lost. Attempting to reconnect... Error: ${error ? error.message : 'Unknown'}`);
+        this.notifyDisconnected();
       });
 
       this.connection.onreconnected((connectionId) => {
         logger.info(`SignalR connection reestablished. ConnectionId: ${connectionId}`);
         this.reconnectAttempts = 0;
+        this.notifyConnected('reconnect');
       });
 
       this.connection.onclose((error) => {
+        if (this.stopped) {
+          return;
+        }
         logger.error(`SignalR connection closed. Error: ${error ? error.message : 'Unknown'}`);
+        this.notifyDisconnected();
         this.handleConnectionClosed();
       });
 
       // Start the connection
       await this.connection.start();
       logger.info(`Connected to Resgrid SignalR hub. ConnectionId: ${this.connection.connectionId}`);
+      this.reconnectAttempts = 0;
+      this.notifyConnected(this.hasConnected ? 'reconnect' : 'startup');
+      this.hasConnected = true;
     } catch (error) {
       logger.error(`Failed to connect to SignalR hub: ${error.message}`, { error });
+      this.notifyDisconnected();
       this.handleConnectionClosed();
       throw error;
     }
   }
 
   handleConnectionClosed() {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      logger.info(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${this.reconnectDelay / 1000} seconds...`);
-      
-      setTimeout(async () => {
-        try {
-          await this.connect();
-        } catch (error) {
-          logger.error(`Reconnect attempt failed: ${error.message}`);
-        }
-      }, this.reconnectDelay);
-    } else {
-      logger.error(`Maximum reconnect attempts (${this.maxReconnectAttempts}) reached. Giving up.`);
+    if (this.stopped) {
+      return;
+    }
+
+    const delay = getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    logger.info(`Attempting to reconnect (attempt ${this.reconnectAttempts}) in ${delay / 1000} seconds...`);
+    
+    setTimeout(async () => {
+      try {
+        await this.connect();
+      } catch (error) {
+        logger.error(`Reconnect attempt failed: ${error.message}`);
+      }
+    }, delay);
+  }
+
+  notifyConnected(reason) {
+    if (this.connectedCallback) {
+      this.connectedCallback(reason);
+    }
+  }
+
+  notifyDisconnected() {
+    if (this.disconnectedCallback) {
+      this.disconnectedCallback();
+    }
+  }
+
+  on(eventName, handler) {
+    this.handlers[eventName] = handler;
+    if (this.connection) {
+      this.connection.on(eventName, handler);
     }
   }
 
   onCallAdded(callback) {
-    this.callAddedCallback = callback;
+    this.on('CallAdded', callback);
     logger.info('Registered callback for CallAdded events');
   }
 
+  onConnected(callback) {
+    this.connectedCallback = callback;
+  }
+
+  onDisconnected(callback) {
+    this.disconnectedCallback = callback;
+  }
+
   async disconnect() {
+    this.stopped = true;
     if (this.connection) {
       try {
         await this.connection.stop();
@@ -6,12 +6,23 @@ const axios = require('axios');
 const querystring = require('querystring');
 const { logger } = require('./logger');
 const { config } = require('./config');
+const metrics = require('./metrics');
+const alerts = require('./alerts');
+const { createRateLimiter } = require('./rate-limiter');
 
 // Module-level variables for token caching
 let cachedToken = null;
 let tokenExpiry = 0;
 const TOKEN_REFRESH_MARGIN = 900000; // Refresh token 15 minutes before expiry (increased from 5 minutes)
 
+// Outcome of the latest token requests, reported by the health checks
+let lastRefreshAt = null;
+let lastRefreshError = null;
+let lastRefreshErrorAt = null;
+
+// Keeps API requests under RESGRID_RATE_LIMIT per second, so a backfill can't flood Resgrid
+const rateLimiter = createRateLimiter(config.resgrid.rateLimit);
+
 /**
  * Creates an Axios instance with interceptors for automatic token refresh
  */
@@ -33,6 +44,8 @@ apiClient.interceptors.request.use(async (requestConfig) => {
     return requestConfig;
   }
   
+  await rateLimiter.acquire();
+  
   // Get a valid token (refreshed if needed)
   const token = await getApiToken();
   
@@ -133,6 +146,7 @@ async function getApiToken(forceRefresh = false) {
     // Calculate expiry time (convert expires_in from seconds to milliseconds)
     // Set expiry further in the future (30 minutes instead of standard 5)
     tokenExpiry = now + (expires_in * 1000);
+    recordRefresh();
     
     if (!isRenewal) {
       logger.info('Successfully obtained new API token');
@@ -142,6 +156,7 @@ async function getApiToken(forceRefresh = false) {
     
     return access_token;
   } catch (error) {
+    recordRefreshError(error);
     logger.error('Failed to obtain API token', {
       error: error.message,
       status: error.response?.status,
@@ -188,6 +203,7 @@ async function getLegacyApiToken() {
       
       // Set expiry to 24 hours from now as legacy endpoint doesn't provide expiry
       tokenExpiry = Date.now() + (24 * 60 * 60 * 1000);
+      recordRefresh();
       
       logger.info('Successfully obtained token via legacy endpoint');
       
@@ -204,4 +220,39 @@ async function getLegacyApiToken() {
   }
 }
 
-module.exports = { getApiToken, apiClient };
\ No newline at end of file
+/**
+ * Records a successful token request
+ */
+function recordRefresh() {
+  lastRefreshAt = new Date().toISOString();
+  lastRefreshError = null;
+  metrics.tokenRefreshes.inc({ result: 'success' });
+  alerts.recordTokenRefresh();
+}
+
+/**
+ * Records a failed token request
+ * @param {Error} error - Why the request failed
+ */
+function recordRefreshError(error) {
+  lastRefreshError = error.message;
+  lastRefreshErrorAt = new Date().toISOString();
+  metrics.tokenRefreshes.inc({ result: 'failure' });
+  alerts.recordTokenRefresh(error);
+}
+
+/**
+ * Gets the state of the cached token, without requesting one
+ * @returns {Object} Whether a valid token is cached, when it expires, and the outcome of the latest requests
+ */
+function getTokenStatus() {
+  return {
+    valid: Boolean(cachedToken) && tokenExpiry > Date.now(),
+    expiresAt: tokenExpiry ? new Date(tokenExpiry).toISOString() : null,
+    lastRefreshAt,
+    lastRefreshError,
+    lastRefreshErrorAt
+  };
+}
+
+module.exports = { getApiToken, getTokenStatus, apiClient };
\ No newline at end of file
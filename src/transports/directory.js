@@ -0,0 +1,100 @@
+/**
+ * Directory transport
+ * Drops each document into a local or network-mounted directory, e.g. for a
+ * vendor that picks files up from a share, or for testing against a local
+ * folder. Files are written under a temporary name and renamed into place.
+ */
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+const { PARTIAL_SUFFIX, PARTIAL_MAX_AGE } = require('../sftp-client');
+
+/**
+ * Checks a directory destination
+ * @param {Object} destination - Destination config
+ * @returns {Array<string>} Error messages
+ */
+function check(destination) {
+  return destination.path ? [] : ['needs a "path"'];
+}
+
+/**
+ * Removes partial files left behind by an interrupted write
+ * @param {string} dir - Target directory
+ */
+function cleanupPartialFiles(dir) {
+  const cutoff = Date.now() - PARTIAL_MAX_AGE;
+
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(PARTIAL_SUFFIX)) {
+      continue;
+    }
+    const filePath = path.join(dir, name);
+    try {
+      if (fs.statSync(filePath).mtimeMs < cutoff) {
+        fs.unlinkSync(filePath);
+        logger.warn(`Removed partial file left by an interrupted write: ${filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`Unable to clean up ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Creates a directory transport
+ * @param {Object} destination - Destination config (path)
+ * @returns {Object} Transport
+ */
+function create(destination) {
+  const dir = path.resolve(destination.path);
+  let cleaned = false;
+
+  return {
+    describe() {
+      return `directory ${dir}`;
+    },
+
+    async send(filename, xml) {
+      fs.mkdirSync(dir, { recursive: true });
+
+      if (!cleaned) {
+        cleanupPartialFiles(dir);
+        cleaned = true;
+      }
+
+      const filePath = path.join(dir, filename);
+      const partialPath = `${filePath}${PARTIAL_SUFFIX}`;
+      fs.writeFileSync(partialPath, xml);
+      fs.renameSync(partialPath, filePath);
+      logger.info(`Wrote ${filePath}`);
+
+      return filePath;
+    },
+
+    async list(listDir) {
+      let names;
+      try {
+        names = fs.readdirSync(listDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+
+      return names
+        .map(name => ({ name, stats: fs.statSync(path.join(listDir, name)) }))
+        .filter(({ stats }) => stats.isFile())
+        .map(({ name, stats }) => ({ name, size: stats.size, modifiedAt: stats.mtime.toISOString() }));
+    },
+
+    async read(filePath) {
+      return fs.readFileSync(filePath, 'utf8');
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { check, create };
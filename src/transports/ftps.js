@@ -0,0 +1,106 @@
+/**
+ * FTPS transport
+ * Uploads each document over FTP with TLS (explicit by default, or implicit
+ * with "secure": "implicit"). Plain FTP is not supported - documents contain PHI.
+ */
+const { Readable } = require('stream');
+const ftp = require('basic-ftp');
+const { logger } = require('../logger');
+const { PARTIAL_SUFFIX, PARTIAL_MAX_AGE } = require('../sftp-client');
+
+/**
+ * Checks an FTPS destination
+ * @param {Object} destination - Destination config
+ * @returns {Array<string>} Error messages
+ */
+function check(destination) {
+  const errors = [];
+  for (const key of ['host', 'username', 'password']) {
+    if (!destination[key]) {
+      errors.push(`needs a "${key}"`);
+    }
+  }
+  if (destination.secure !== undefined && ![true, 'implicit'].includes(destination.secure)) {
+    errors.push('"secure" must be true (explicit TLS) or "implicit"');
+  }
+  return errors;
+}
+
+/**
+ * Removes partial uploads left in the current remote directory
+ * @param {Object} client - Connected basic-ftp client
+ */
+async function cleanupPartialUploads(client) {
+  const cutoff = Date.now() - PARTIAL_MAX_AGE;
+
+  try {
+    for (const item of await client.list()) {
+      // Servers that don't report times are left alone
+      if (item.name.endsWith(PARTIAL_SUFFIX) && item.modifiedAt && item.modifiedAt.getTime() < cutoff) {
+        await client.remove(item.name);
+        logger.warn(`Removed partial upload left by an interrupted transfer: ${item.name}`);
+      }
+    }
+  } catch (error) {
+    logger.warn(`Unable to clean up partial uploads: ${error.message}`);
+  }
+}
+
+/**
+ * Creates an FTPS transport
+ * @param {Object} destination - Destination config (host, port, username, password,
+ *   remotePath, secure, rejectUnauthorized)
+ * @returns {Object} Transport
+ */
+function create(destination) {
+  const remoteDir = destination.remotePath || '/';
+
+  return {
+    describe() {
+      return `ftps://${destination.host}${remoteDir}`;
+    },
+
+    async send(filename, xml) {
+      const client = new ftp.Client(destination.timeout || 30000);
+      const partialName = `${filename}${PARTIAL_SUFFIX}`;
+      const content = Buffer.from(xml);
+
+      try {
+        logger.info(`Connecting to FTPS server: ${destination.host}`);
+        await client.access({
+          host: destination.host,
+          port: destination.port || (destination.secure === 'implicit' ? 990 : 21),
+          user: destination.username,
+          password: destination.password,
+          secure: destination.secure || true,
+          secureOptions: { rejectUnauthorized: destination.rejectUnauthorized !== false }
+        });
+
+        // Creates the directory if needed and makes it the working directory
+        await client.ensureDir(remoteDir);
+        await cleanupPartialUploads(client);
+
+        // Upload under a temporary name, check the size, then rename into place
+        logger.info(`Uploading ${filename} to ${remoteDir}`);
+        await client.uploadFrom(Readable.from(content), partialName);
+
+        const remoteSize = await client.size(partialName);
+        if (remoteSize !== content.length) {
+          await client.remove(partialName, true);
+          throw new Error(`Incomplete upload of ${filename}: ${remoteSize} of ${content.length} bytes written`);
+        }
+        await client.rename(partialName, filename);
+
+        const remoteFilePath = `${remoteDir.replace(/\/$/, '')}/${filename}`;
+        logger.info(`Successfully uploaded file to ${remoteFilePath}`);
+        return remoteFilePath;
+      } finally {
+        client.close();
+      }
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { check, create };
@@ -0,0 +1,63 @@
+/**
+ * HTTPS transport
+ * POSTs each document to an HTTP endpoint, for ePCR vendors that accept
+ * incidents over an API instead of a file drop. Any 2xx response counts as
+ * delivered.
+ */
+const axios = require('axios');
+const { logger } = require('../logger');
+
+/**
+ * Checks an HTTPS destination
+ * @param {Object} destination - Destination config
+ * @returns {Array<string>} Error messages
+ */
+function check(destination) {
+  if (!destination.url) {
+    return ['needs a "url"'];
+  }
+  // Incidents contain PHI; plain HTTP is only allowed when explicitly enabled (e.g. a local test server)
+  if (!destination.url.startsWith('https://') && destination.allowHttp !== true) {
+    return ['"url" must use https:// (set "allowHttp": true to allow http:// for testing)'];
+  }
+  return [];
+}
+
+/**
+ * Creates an HTTPS transport
+ * @param {Object} destination - Destination config (url, token, username, password,
+ *   headers, timeout)
+ * @returns {Object} Transport
+ */
+function create(destination) {
+  return {
+    describe() {
+      return `POST ${destination.url}`;
+    },
+
+    async send(filename, xml) {
+      const headers = {
+        'Content-Type': 'application/xml',
+        'X-Filename': filename,
+        ...(destination.token ? { Authorization: `Bearer ${destination.token}` } : {}),
+        ...(destination.headers || {})
+      };
+
+      logger.info(`Posting ${filename} to ${destination.url}`);
+      const response = await axios.post(destination.url, xml, {
+        headers,
+        auth: destination.username ? { username: destination.username, password: destination.password || '' } : undefined,
+        timeout: destination.timeout || 30000,
+        // Don't follow redirects with PHI in the body
+        maxRedirects: 0
+      });
+
+      logger.info(`Successfully posted ${filename} to ${destination.url} (HTTP ${response.status})`);
+      return response.headers.location || `${destination.url}#${filename}`;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { check, create };
@@ -0,0 +1,249 @@
+/**
+ * Delivery transports for the Resgrid ESO Bridge
+ *
+ * Each destination in config.destinations names a transport type. A transport
+ * module exports check(destination), returning config errors, and
+ * create(destination), returning an object with:
+ *   - describe()            where the transport delivers, for logging
+ *   - send(filename, xml)   delivers one document, resolving with its location
+ *   - close()               releases any connection the transport keeps open
+ * and, where the protocol allows it, the optional methods the delivery monitor
+ * uses to see what the receiving system did with a file:
+ *   - list(dir)             files in a directory (null if it doesn't exist)
+ *   - read(filePath)        the content of a file
+ * Transports make a single attempt and throw on failure; the outbox retries
+ * failed items with its own backoff.
+ *
+ * Every incident is delivered to every destination. A destination can also set
+ * its own file name template ("filename") and limit the document to a subset of
+ * CadIncident elements ("fields").
+ */
+const { create } = require('xmlbuilder2');
+const { config } = require('../config');
+const { logger } = require('../logger');
+const metrics = require('../metrics');
+const spec = require('../schemas/cad-incident.json');
+
+const TRANSPORTS = {
+  sftp: require('./sftp'),
+  ftps: require('./ftps'),
+  https: require('./https'),
+  directory: require('./directory')
+};
+
+const DEFAULT_FILENAME = '{key}_{timestamp}.xml';
+
+// Placeholders a file name template can use
+const FILENAME_PLACEHOLDERS = ['key', 'callId', 'unit', 'timestamp', 'date', 'destination'];
+
+// Elements every document keeps, whatever a destination's field subset says
+const REQUIRED_FIELDS = spec.elements.filter(field => field.required).map(field => field.name);
+
+// Transports created so far, keyed by destination name
+const transports = new Map();
+
+/**
+ * Checks the configured destinations, returning every problem found
+ * @param {Array<Object>} destinations - Destinations to check
+ * @returns {Array<string>} Error messages (empty when the destinations are valid)
+ */
+function checkDestinations(destinations) {
+  const errors = [];
+  const names = new Set();
+
+  if (destinations.length === 0) {
+    return ['at least one destination is required'];
+  }
+
+  destinations.forEach((destination, index) => {
+    const label = destination.name ? `Destination ${destination.name}` : `Destination #${index + 1}`;
+
+    if (!destination.name) {
+      errors.push(`${label} needs a "name"`);
+    } else if (names.has(destination.name)) {
+      errors.push(`${label} is defined more than once`);
+    }
+    names.add(destination.name);
+
+    if (destination.filename !== undefined) {
+      const placeholders = String(destination.filename).match(/\{[^}]*\}/g) || [];
+      for (const placeholder of placeholders) {
+        if (!FILENAME_PLACEHOLDERS.includes(placeholder.slice(1, -1))) {
+          errors.push(`${label} uses unknown file name placeholder ${placeholder} (available: ${FILENAME_PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+        }
+      }
+      if (/[\\/]/.test(destination.filename)) {
+        errors.push(`${label} "filename" must not contain a path; use the transport's remote path instead`);
+      }
+    }
+
+    if (destination.fields !== undefined) {
+      const knownFields = spec.elements.map(field => field.name);
+      if (!Array.isArray(destination.fields) || destination.fields.length === 0) {
+        errors.push(`${label} "fields" must be a non-empty list of CadIncident elements`);
+      } else {
+        for (const field of destination.fields.filter(f => !knownFields.includes(f))) {
+          errors.push(`${label} "fields" lists ${field}, which is not a known CadIncident element`);
+        }
+      }
+    }
+
+    const transport = TRANSPORTS[destination.type];
+    if (!transport) {
+      errors.push(`${label} has unknown type "${destination.type}" (available: ${Object.keys(TRANSPORTS).join(', ')})`);
+      return;
+    }
+    for (const error of transport.check(destination)) {
+      errors.push(`${label} ${error}`);
+    }
+  });
+
+  return errors;
+}
+
+const destinationErrors = checkDestinations(config.destinations);
+if (destinationErrors.length > 0) {
+  throw new Error(`Invalid delivery destinations: ${destinationErrors.join('; ')}`);
+}
+
+/**
+ * Gets the configured destinations
+ * @returns {Array<Object>} Destinations
+ */
+function getDestinations() {
+  return config.destinations;
+}
+
+/**
+ * Gets a destination by name
+ * @param {string} [name] - Destination name (default: the first destination)
+ * @returns {Object} Destination
+ */
+function getDestination(name) {
+  if (!name) {
+    return config.destinations[0];
+  }
+
+  const destination = config.destinations.find(d => d.name === name);
+  if (!destination) {
+    throw new Error(`Unknown destination "${name}"`);
+  }
+  return destination;
+}
+
+/**
+ * Builds the file name an incident is delivered as
+ * @param {Object} destination - Destination config
+ * @param {Object} incident - Incident details
+ * @param {string} incident.callId - Resgrid Call ID
+ * @param {string} [incident.unit] - Unit call sign ('' when the call has no unit)
+ * @param {number} incident.timestamp - Time the incident was queued (ms since the epoch)
+ * @returns {string} File name
+ */
+function getFilename(destination, { callId, unit, timestamp }) {
+  const values = {
+    key: unit ? `call_${callId}_${unit}` : `call_${callId}`,
+    callId,
+    unit: unit || '',
+    timestamp,
+    date: new Date(timestamp).toISOString().slice(0, 10).replace(/-/g, ''),
+    destination: destination.name
+  };
+
+  return (destination.filename || DEFAULT_FILENAME).replace(/\{(\w+)\}/g, (match, name) => String(values[name]));
+}
+
+/**
+ * Reduces a CadIncident document to the elements a destination asked for
+ * (required elements are always kept, so the document stays importable)
+ * @param {Object} destination - Destination config
+ * @param {string} xml - Full CadIncident document
+ * @returns {string} Document for this destination
+ */
+function selectFields(destination, xml) {
+  if (!destination.fields) {
+    return xml;
+  }
+
+  const keep = new Set([...REQUIRED_FIELDS, ...destination.fields]);
+  const doc = create(xml);
+  const root = doc.root().node;
+
+  for (const node of [...root.childNodes]) {
+    if (node.nodeType !== 1 || !keep.has(node.nodeName)) {
+      root.removeChild(node);
+    }
+  }
+
+  return doc.end({ prettyPrint: true });
+}
+
+/**
+ * Creates a transport for a destination, counting its uploads in the metrics
+ * @param {Object} destination - Destination config
+ * @returns {Object} Transport
+ */
+function createTransport(destination) {
+  const transport = TRANSPORTS[destination.type].create(destination);
+
+  return {
+    name: destination.name,
+    type: destination.type,
+    describe: () => transport.describe(),
+    close: () => transport.close(),
+    list: transport.list && (dir => transport.list(dir)),
+    read: transport.read && (filePath => transport.read(filePath)),
+    async send(filename, xml) {
+      try {
+        const location = await transport.send(filename, xml);
+        metrics.uploads.inc({ destination: destination.name, result: 'success' });
+        return location;
+      } catch (error) {
+        metrics.uploads.inc({ destination: destination.name, result: 'failure' });
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Gets the (shared) transport for a configured destination
+ * @param {string} [name] - Destination name (default: the first destination)
+ * @returns {Object} Transport
+ */
+function getTransport(name) {
+  const destination = getDestination(name);
+
+  if (!transports.has(destination.name)) {
+    const transport = createTransport(destination);
+    transports.set(destination.name, transport);
+    logger.info(`Delivery destination ${destination.name}: ${transport.describe()}`);
+  }
+  return transports.get(destination.name);
+}
+
+/**
+ * Closes every transport created so far
+ * @returns {Promise<void>}
+ */
+async function closeTransports() {
+  for (const transport of transports.values()) {
+    try {
+      await transport.close();
+    } catch (error) {
+      logger.warn(`Error closing transport ${transport.name}: ${error.message}`);
+    }
+  }
+  transports.clear();
+}
+
+module.exports = {
+  checkDestinations,
+  getDestinations,
+  getDestination,
+  getFilename,
+  selectFields,
+  createTransport,
+  getTransport,
+  closeTransports
+};
@@ -0,0 +1,93 @@
+/**
+ * SFTP transport
+ * Uploads each document to a remote directory with ssh2-sftp-client, using the
+ * shared connection options (key auth, host key pinning) and atomic writes.
+ * All uploads to a destination share one managed session (see sftp-session.js).
+ * Settings not given on the destination fall back to the SFTP_* variables.
+ */
+const path = require('path');
+const { config } = require('../config');
+const { logger } = require('../logger');
+const { putAtomic } = require('../sftp-client');
+const { SftpSession } = require('../sftp-session');
+
+/**
+ * Checks an SFTP destination
+ * @param {Object} destination - Destination config
+ * @returns {Array<string>} Error messages
+ */
+function check(destination) {
+  const errors = [];
+  if (!(destination.host || config.sftp.host)) {
+    errors.push('needs a "host" (or SFTP_HOST)');
+  }
+  if (!(destination.username || config.sftp.username)) {
+    errors.push('needs a "username" (or SFTP_USER)');
+  }
+  return errors;
+}
+
+/**
+ * Creates an SFTP transport
+ * @param {Object} destination - Destination config (host, port, username, password,
+ *   privateKeyPath, privateKey, passphrase, hostFingerprints, remotePath, keepaliveInterval,
+ *   idleTimeout)
+ * @returns {Object} Transport
+ */
+function create(destination) {
+  const remoteDir = destination.remotePath || path.posix.join(config.sftp.remotePath, 'calls');
+  const connectOptions = {
+    host: destination.host,
+    port: destination.port,
+    username: destination.username,
+    password: destination.password,
+    privateKeyPath: destination.privateKeyPath,
+    privateKey: destination.privateKey,
+    passphrase: destination.passphrase,
+    hostFingerprints: destination.hostFingerprints,
+    keepaliveInterval: destination.keepaliveInterval
+  };
+  const session = new SftpSession(connectOptions, { idleTimeout: destination.idleTimeout });
+
+  return {
+    describe() {
+      return `sftp://${destination.host || config.sftp.host}${remoteDir}`;
+    },
+
+    send(filename, xml) {
+      const remoteFilePath = path.posix.join(remoteDir, filename);
+
+      return session.run(async (sftp) => {
+        await session.ensureDirectory(remoteDir);
+
+        // Upload under a temporary name and rename it once complete
+        logger.info(`Uploading ${filename} to ${remoteFilePath}`);
+        await putAtomic(sftp, Buffer.from(xml), remoteFilePath);
+        logger.info(`Successfully uploaded file to ${remoteFilePath}`);
+
+        return remoteFilePath;
+      });
+    },
+
+    list(dir) {
+      return session.run(async (sftp) => {
+        if (!(await sftp.exists(dir))) {
+          return null;
+        }
+        return (await sftp.list(dir))
+          .filter(entry => entry.type === '-')
+          .map(entry => ({ name: entry.name, size: entry.size, modifiedAt: new Date(entry.modifyTime).toISOString() }));
+      });
+    },
+
+    read(filePath) {
+      return session.run(async (sftp) => (await sftp.get(filePath)).toString('utf8'));
+    },
+
+    close() {
+      return session.close();
+    }
+  };
+}
+
+module.exports = { check, create };
@@ -0,0 +1,186 @@
+/**
+ * Unit status mapping for the Resgrid ESO Bridge
+ * Resgrid departments can define their own unit statuses, so the StatusId
+ * behind "En Route" or "On Scene" differs between departments. The status
+ * definitions are loaded from Resgrid at startup, matched to ESO time
+ * milestones through the "statuses" section of the field mapping profile,
+ * cached on disk and refreshed periodically.
+ */
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { getUnitStatusDefinitions } = require('./resgrid-api');
+
+const MILESTONES = ['enRoute', 'onScene', 'atPatient', 'cleared', 'backInService'];
+
+// Department status definitions ({ id, text }) from Resgrid or the disk cache
+let definitions = [];
+
+// StatusIds that mark each milestone, rebuilt whenever the definitions change
+let milestoneIds = {};
+
+/**
+ * Normalizes a status text for matching: lower case, with punctuation and
+ * repeated spaces collapsed, so "En-Route" and "en route" are the same
+ * @param {string} text - Status text
+ * @returns {string} Normalized text
+ */
+function normalizeStatusText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Gets the milestone rules from the mapping profile
+ * @param {string} milestone - One of MILESTONES
+ * @returns {Object} Rule with ids, defaultIds and normalized names
+ */
+function getRule(milestone) {
+  const rule = (config.mapping.statuses || {})[milestone] || {};
+  return {
+    ids: rule.ids || [],
+    defaultIds: rule.defaultIds || [],
+    names: (rule.names || []).map(normalizeStatusText)
+  };
+}
+
+/**
+ * Checks whether a status text is one of a milestone's names
+ * The whole text has to match, so "Unavailable" is not "available" and
+ * "Not Responding" is not "responding".
+ * @param {string} text - Status text
+ * @param {Array<string>} names - Normalized milestone names
+ * @returns {boolean} True if the text matches
+ */
+function matchesName(text, names) {
+  const normalized = normalizeStatusText(text);
+  return Boolean(normalized) && names.includes(normalized);
+}
+
+/**
+ * Rebuilds the StatusId lists for every milestone from the current definitions
+ * Explicit ids, the ids of definitions whose text matches a milestone name and
+ * the defaultIds all apply.
+ */
+function buildMilestoneIds() {
+  milestoneIds = {};
+
+  for (const milestone of MILESTONES) {
+    const rule = getRule(milestone);
+    const matched = definitions.filter(def => matchesName(def.text, rule.names)).map(def => def.id);
+    milestoneIds[milestone] = new Set([...rule.ids, ...matched, ...rule.defaultIds]);
+  }
+}
+
+/**
+ * Normalizes a status definitions response into { id, text } entries
+ * @param {Object|Array} response - Response from GetAllUnitStatusDefinitions
+ * @returns {Array<Object>} Status definitions
+ */
+function normalizeDefinitions(response) {
+  const list = response && response.Data ? response.Data : response;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .map(def => ({
+      id: Number(def.StatusId !== undefined ? def.StatusId : def.Id),
+      text: def.ButtonText || def.StatusName || def.Text || def.Name || ''
+    }))
+    .filter(def => !isNaN(def.id));
+}
+
+/**
+ * Loads definitions saved by a previous run, so custom statuses are still
+ * mapped when Resgrid can't be reached at startup
+ */
+function loadCachedDefinitions() {
+  try {
+    definitions = JSON.parse(fs.readFileSync(config.statuses.cacheFile, 'utf8'));
+    logger.info(`Loaded ${definitions.length} cached unit status definitions`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read cached unit status definitions: ${error.message}`);
+    }
+  }
+  buildMilestoneIds();
+}
+
+/**
+ * Fetches the department's status definitions and rebuilds the milestone mapping
+ * Failures are logged and the previous (or cached) mapping is kept.
+ * @returns {Promise<boolean>} True if the definitions were refreshed
+ */
+async function refreshStatusDefinitions() {
+  try {
+    const fetched = normalizeDefinitions(await getUnitStatusDefinitions());
+    if (fetched.length === 0) {
+      logger.warn('Resgrid returned no unit status definitions, keeping the current status mapping');
+      return false;
+    }
+
+    definitions = fetched;
+    buildMilestoneIds();
+
+    fs.mkdirSync(path.dirname(config.statuses.cacheFile), { recursive: true });
+    fs.writeFileSync(config.statuses.cacheFile, JSON.stringify(definitions, null, 2));
+
+    const summary = MILESTONES.map(m => `${m}=[${[...milestoneIds[m]].join(',')}]`).join(' ');
+    logger.info(`Loaded ${definitions.length} unit status definitions (${summary})`);
+    return true;
+  } catch (error) {
+    logger.warn(`Unable to refresh unit status definitions, keeping the current status mapping: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Checks whether a unit activity entry marks a milestone
+ * The StatusId is checked against the mapped ids; the activity's own status
+ * text is also matched against the milestone names.
+ * @param {string} milestone - One of MILESTONES
+ * @param {Object} activity - Entry from the Activity array
+ * @returns {boolean} True if the activity marks the milestone
+ */
+function isMilestoneActivity(milestone, activity) {
+  const ids = milestoneIds[milestone] || new Set();
+  return ids.has(Number(activity.StatusId)) || matchesName(activity.StatusText, getRule(milestone).names);
+}
+
+/**
+ * Gets the department's name for a status
+ * @param {number|string} statusId - Resgrid StatusId
+ * @returns {string|null} Status text, or null if the status isn't defined
+ */
+function getStatusText(statusId) {
+  const definition = definitions.find(def => def.id === Number(statusId));
+  return definition ? definition.text : null;
+}
+
+/**
+ * Loads the status definitions and refreshes them periodically
+ * @returns {Promise<Object>} Handle with a stop() method
+ */
+async function startStatusDefinitionRefresh() {
+  await refreshStatusDefinitions();
+
+  const timer = setInterval(refreshStatusDefinitions, config.statuses.refreshInterval);
+  logger.info(`Unit status definitions refresh every ${config.statuses.refreshInterval / 1000}s`);
+
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+loadCachedDefinitions();
+
+module.exports = {
+  MILESTONES,
+  isMilestoneActivity,
+  getStatusText,
+  refreshStatusDefinitions,
+  startStatusDefinitionRefresh
+};
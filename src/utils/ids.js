@@ -0,0 +1,17 @@
+/**
+ * Utils for building IDs that are also file names
+ * Outbox items and dead-letter entries are stored as <id>.json, and their IDs
+ * include the call ID and unit, which come from Resgrid or from an admin request.
+ */
+
+/**
+ * Makes a value safe to use as part of an ID: anything but letters, digits,
+ * underscores and hyphens (path separators, dots, spaces) becomes an underscore
+ * @param {string|number} value - Call ID, unit call sign, ...
+ * @returns {string} Safe ID part
+ */
+function toIdPart(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+module.exports = { toIdPart };
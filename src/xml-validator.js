@@ -0,0 +1,188 @@
+/**
+ * Validates generated ESO CadIncident XML against the bundled field specification
+ * (src/schemas/cad-incident.json) so malformed documents never reach ESO.
+ */
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const spec = require('./schemas/cad-incident.json');
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  trimValues: false,
+  preserveOrder: true
+});
+
+/**
+ * Error thrown when an incident document fails validation
+ */
+class XmlValidationError extends Error {
+  /**
+   * @param {Array<string>} errors - Validation error messages
+   */
+  constructor(errors) {
+    super(`Invalid CadIncident XML: ${errors.join('; ')}`);
+    this.name = 'XmlValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Gets the text content of a parsed element
+ * @param {Array} children - Parsed child nodes (preserveOrder format)
+ * @returns {Object} Object with text and hasChildElements
+ */
+function getElementText(children) {
+  let text = '';
+  let hasChildElements = false;
+
+  for (const child of children) {
+    if (Object.prototype.hasOwnProperty.call(child, '#text')) {
+      text += child['#text'];
+    } else {
+      hasChildElements = true;
+    }
+  }
+
+  return { text, hasChildElements };
+}
+
+/**
+ * Checks a single value against its field specification
+ * @param {Object} field - Field specification
+ * @param {string} value - Element text
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function checkValue(field, value) {
+  if (value === '') {
+    return field.required ? `${field.name} is required but empty` : null;
+  }
+
+  if (field.maxLength && value.length > field.maxLength) {
+    return `${field.name} is ${value.length} characters (max ${field.maxLength})`;
+  }
+
+  if (field.pattern && !new RegExp(field.pattern).test(value)) {
+    return `${field.name} "${value}" does not match ${field.pattern}`;
+  }
+
+  switch (field.type) {
+    case 'dateTime':
+      if (!DATE_TIME_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+        return `${field.name} "${value}" is not a valid date/time`;
+      }
+      break;
+    case 'date':
+      if (!DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+        return `${field.name} "${value}" is not a valid YYYY-MM-DD date`;
+      }
+      break;
+    case 'decimal': {
+      if (!DECIMAL_PATTERN.test(value)) {
+        return `${field.name} "${value}" is not a decimal number`;
+      }
+      const number = parseFloat(value);
+      if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+        return `${field.name} ${value} is outside the range ${field.min} to ${field.max}`;
+      }
+      break;
+    }
+    case 'code':
+      if (!field.values.includes(value)) {
+        return `${field.name} "${value}" is not one of ${field.values.join(', ')}`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  return null;
+}
+
+/**
+ * Validates a CadIncident XML document
+ * @param {string} xml - XML document
+ * @returns {Object} Result with valid flag and list of errors
+ */
+function validateIncidentXml(xml) {
+  const errors = [];
+
+  // Well-formedness first - nothing else can be checked on a broken document
+  const wellFormed = XMLValidator.validate(xml || '');
+  if (wellFormed !== true) {
+    const { msg, line, col } = wellFormed.err;
+    return { valid: false, errors: [`XML is not well-formed: ${msg} (line ${line}, column ${col})`] };
+  }
+
+  const nodes = parser.parse(xml);
+  const rootNode = nodes.find(node => Object.prototype.hasOwnProperty.call(node, spec.root));
+  if (!rootNode) {
+    return { valid: false, errors: [`Root element must be <${spec.root}>`] };
+  }
+
+  // Required root attributes (namespace declarations)
+  const attributes = rootNode[':@'] || {};
+  for (const [name, value] of Object.entries(spec.attributes || {})) {
+    if (attributes[name] !== value) {
+      errors.push(`<${spec.root}> must declare ${name}="${value}"`);
+    }
+  }
+
+  const fieldIndex = new Map(spec.elements.map((field, index) => [field.name, index]));
+  const seen = new Set();
+
+  for (const node of rootNode[spec.root]) {
+    const name = Object.keys(node).find(key => key !== ':@');
+    if (!name || name === '#text') {
+      continue;
+    }
+
+    if (!fieldIndex.has(name)) {
+      errors.push(`Unknown element <${name}>`);
+      continue;
+    }
+
+    if (seen.has(name)) {
+      errors.push(`Element <${name}> appears more than once`);
+      continue;
+    }
+    seen.add(name);
+
+    const { text, hasChildElements } = getElementText(node[name]);
+    if (hasChildElements) {
+      errors.push(`Element <${name}> must not contain child elements`);
+      continue;
+    }
+
+    const error = checkValue(spec.elements[fieldIndex.get(name)], text);
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  for (const field of spec.elements) {
+    if (field.required && !seen.has(field.name)) {
+      errors.push(`${field.name} is required but missing`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates a CadIncident XML document, throwing if it is invalid
+ * @param {string} xml - XML document
+ * @throws {XmlValidationError} If the document is invalid
+ */
+function assertValidIncidentXml(xml) {
+  const { valid, errors } = validateIncidentXml(xml);
+  if (!valid) {
+    throw new XmlValidationError(errors);
+  }
+}
+
+module.exports = { validateIncidentXml, assertValidIncidentXml, XmlValidationError };
@@ -0,0 +1,20 @@
+/**
+ * The generated ESO XML for recorded Resgrid calls, compared with the
+ * committed golden files in test/golden/expected
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { listCases, readCase, compareCase, formatComparison } = require('./golden');
+
+for (const name of listCases()) {
+  test(`${name}: ${readCase(name).description}`, () => {
+    const result = compareCase(name);
+
+    if (!result.match) {
+      assert.fail(`${formatComparison(result)}\n\nReview with "npm run golden -- ${name}" and bless intended changes with "npm run golden:bless -- ${name}"`);
+    }
+    for (const document of result.documents) {
+      assert.deepStrictEqual(document.errors, [], `${name}/${document.file} is not a valid CadIncident`);
+    }
+  });
+}
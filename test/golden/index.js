@@ -0,0 +1,287 @@
+/**
+ * Golden files for the ESO CadIncident generator
+ *
+ * Every case in cases/ is a recorded Resgrid call: the GetCall payload
+ * ("call") and the GetCallExtraData payload ("extra"). The XML generated for
+ * each of its units is compared with the committed files in
+ * expected/<case>/<unit>.xml (no-unit.xml when no EMS unit responded).
+ *
+ * Run as a script to review or bless changes to the output:
+ *   node test/golden [review|bless] [CASE ...]
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CASES_DIR = path.join(__dirname, 'cases');
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+
+// File name of the record generated for a call without a valid unit
+const NO_UNIT_FILE = 'no-unit.xml';
+
+// Unchanged lines shown around each change in a diff
+const DIFF_CONTEXT = 2;
+
+const usage = `Usage: node test/golden [review|bless] [CASE ...]
+
+  review   Show how the generated XML differs from the expected files (default)
+  bless    Accept the generated XML as the new expected files
+
+Without case names every case in test/golden/cases is used. Review exits
+with 1 when any case differs; bless the output only once the differences
+are intended, and commit the updated expected files with the change.`;
+
+let generator = null;
+
+/**
+ * Loads the generator with a fixed configuration, so the output only depends
+ * on the case: the default mapping profile, the golden status definitions,
+ * UTC dates and throwaway data and log directories. Nothing is fetched, but
+ * config.js insists on Resgrid credentials.
+ * @returns {Object} xml-generator and xml-validator functions
+ */
+function loadGenerator() {
+  if (generator) {
+    return generator;
+  }
+
+  const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-golden-'));
+  Object.assign(process.env, {
+    RESGRID_USER: 'golden',
+    RESGRID_PASS: 'golden',
+    TZ: 'UTC',
+    FIELD_MAPPING_FILE: path.join(__dirname, '..', '..', 'src', 'mappings', 'default.json'),
+    STATUS_DEFINITIONS_CACHE: path.join(__dirname, 'status-definitions.json'),
+    SHADOW_MODE: 'false',
+    DATA_DIR: scratchDir,
+    LOGS_DIR: path.join(scratchDir, 'logs'),
+    LOG_LEVEL: 'warn',
+    // Startup output goes to stderr, leaving stdout to the review
+    LOG_STREAM: 'stderr'
+  });
+
+  const { generateIncidentsByUnit } = require('../../src/xml-generator');
+  const { validateIncidentXml } = require('../../src/xml-validator');
+  generator = { generateIncidentsByUnit, validateIncidentXml };
+  return generator;
+}
+
+/**
+ * Lists the golden cases
+ * @returns {Array<string>} Case names, sorted
+ */
+function listCases() {
+  return fs.readdirSync(CASES_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Reads a case
+ * @param {string} name - Case name
+ * @returns {Object} Case with description, call and extra
+ */
+function readCase(name) {
+  return JSON.parse(fs.readFileSync(path.join(CASES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Generates the XML for every unit on a case's call
+ * @param {string} name - Case name
+ * @returns {Array<Object>} Documents with file, unit, xml and validation errors
+ */
+function renderCase(name) {
+  const { generateIncidentsByUnit, validateIncidentXml } = loadGenerator();
+  const { call, extra } = readCase(name);
+
+  return generateIncidentsByUnit(call, extra || {}).map(({ unitName, xml }) => ({
+    file: unitName ? `${unitName}.xml` : NO_UNIT_FILE,
+    unit: unitName,
+    xml: `${xml}\n`,
+    errors: validateIncidentXml(xml).errors
+  }));
+}
+
+/**
+ * Reads a case's expected files
+ * @param {string} name - Case name
+ * @returns {Map<string, string>} XML by file name (empty when never blessed)
+ */
+function readExpected(name) {
+  const dir = path.join(EXPECTED_DIR, name);
+  const expected = new Map();
+  if (!fs.existsSync(dir)) {
+    return expected;
+  }
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.xml')).sort()) {
+    expected.set(file, fs.readFileSync(path.join(dir, file), 'utf8'));
+  }
+  return expected;
+}
+
+/**
+ * Diffs two texts line by line
+ * @param {string} expected - Expected text
+ * @param {string} actual - Actual text
+ * @returns {string} Changed lines prefixed with - and +, with a little context
+ */
+function diffLines(expected, actual) {
+  const toLines = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+  const a = toLines(expected);
+  const b = toLines(actual);
+
+  // Longest common subsequence lengths, from the end of both texts
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ op: '-', text: a[i++] });
+    } else {
+      lines.push({ op: '+', text: b[j++] });
+    }
+  }
+
+  // Keep the changes and the lines near them
+  const near = index => lines.slice(Math.max(0, index - DIFF_CONTEXT), index + DIFF_CONTEXT + 1).some(line => line.op !== ' ');
+  const output = [];
+  let skipped = false;
+  lines.forEach((line, index) => {
+    if (line.op !== ' ' || near(index)) {
+      if (skipped && output.length > 0) {
+        output.push('  ...');
+      }
+      output.push(`${line.op} ${line.text}`);
+      skipped = false;
+    } else {
+      skipped = true;
+    }
+  });
+  return output.join('\n');
+}
+
+/**
+ * Compares a case's generated XML with its expected files
+ * @param {string} name - Case name
+ * @returns {Object} Result with name, match flag, documents and, per file,
+ *   its status ('same', 'changed', 'added' or 'removed') and diff
+ */
+function compareCase(name) {
+  const documents = renderCase(name);
+  const expected = readExpected(name);
+  const files = [];
+
+  for (const document of documents) {
+    const previous = expected.get(document.file);
+    if (previous === undefined) {
+      files.push({ file: document.file, status: 'added', diff: diffLines('', document.xml) });
+    } else if (previous !== document.xml) {
+      files.push({ file: document.file, status: 'changed', diff: diffLines(previous, document.xml) });
+    } else {
+      files.push({ file: document.file, status: 'same', diff: '' });
+    }
+  }
+  for (const [file, previous] of expected) {
+    if (!documents.some(document => document.file === file)) {
+      files.push({ file, status: 'removed', diff: diffLines(previous, '') });
+    }
+  }
+
+  return { name, match: files.every(f => f.status === 'same'), documents, files };
+}
+
+/**
+ * Formats a comparison for review
+ * @param {Object} result - Result from compareCase
+ * @returns {string} Case heading and the diff of every file that differs
+ */
+function formatComparison(result) {
+  const lines = [`${result.name}: ${result.match ? 'matches' : 'differs'}`];
+  for (const file of result.files.filter(f => f.status !== 'same')) {
+    lines.push(`  ${file.file} (${file.status})`);
+    lines.push(file.diff.split('\n').map(line => `    ${line}`).join('\n'));
+  }
+  for (const document of result.documents.filter(d => d.errors.length > 0)) {
+    lines.push(`  ${document.file} is not valid: ${document.errors.join('; ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Writes a case's generated XML as its expected files, removing files for
+ * units the call no longer produces
+ * @param {Object} result - Result from compareCase
+ */
+function blessCase(result) {
+  const dir = path.join(EXPECTED_DIR, result.name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const file of result.files.filter(f => f.status === 'removed')) {
+    fs.unlinkSync(path.join(dir, file.file));
+  }
+  for (const document of result.documents) {
+    fs.writeFileSync(path.join(dir, document.file), document.xml);
+  }
+}
+
+/**
+ * Reviews or blesses golden cases from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(usage);
+    return 0;
+  }
+
+  // The command can be left out: "node test/golden multi-unit" reviews that case
+  const command = ['review', 'bless'].includes(args[0]) ? args[0] : 'review';
+  const names = command === args[0] ? args.slice(1) : args;
+
+  const known = listCases();
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    console.error(`Unknown case${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')} (cases: ${known.join(', ')})`);
+    return 2;
+  }
+
+  const results = (names.length > 0 ? names : known).map(compareCase);
+  const differing = results.filter(result => !result.match);
+
+  for (const result of differing) {
+    console.log(formatComparison(result));
+    if (command === 'bless') {
+      blessCase(result);
+    }
+  }
+
+  if (command === 'bless') {
+    console.log(`Blessed ${differing.length} of ${results.length} cases${differing.length > 0 ? '; review and commit test/golden/expected' : ''}`);
+    return 0;
+  }
+
+  console.log(`${results.length - differing.length} of ${results.length} cases match`);
+  if (differing.length > 0) {
+    console.log('Run "npm run golden:bless" (optionally with case names) once the changes are intended');
+  }
+  return differing.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { listCases, readCase, renderCase, readExpected, diffLines, compareCase, formatComparison, blessCase };
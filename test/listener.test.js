@@ -0,0 +1,181 @@
+/**
+ * The whole listener, end to end: SignalR events from the offline simulator
+ * in, CadIncident files out (to a directory destination)
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { createSimulator } = require('./simulator');
+
+const ROOT = path.join(__dirname, '..');
+const WAIT_TIMEOUT = 30000;
+
+const simulator = createSimulator();
+let listener = null;
+let output = '';
+let dropDir;
+let port;
+let metricsPort;
+
+/**
+ * Finds a free local port
+ * @returns {Promise<number>} Port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port: freePort } = server.address();
+      server.close(() => resolve(freePort));
+    });
+  });
+}
+
+/**
+ * Waits until a check passes
+ * @param {Function} check - Async function returning a truthy value when done
+ * @param {string} description - What is being waited for
+ * @returns {Promise<*>} The check's value
+ */
+async function waitFor(check, description) {
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  for (;;) {
+    const value = await check().catch(() => null);
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description}. Listener output:\n${output.slice(-3000)}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+/**
+ * Reads the documents delivered for a call and unit, oldest first
+ * @param {number} callId - Resgrid Call ID
+ * @param {string} unit - Unit name
+ * @returns {Array<string>} XML documents
+ */
+function readDelivered(callId, unit) {
+  const prefix = `call_${callId}_${unit}_`;
+  return fs.readdirSync(dropDir)
+    .filter(name => name.startsWith(prefix) && name.endsWith('.xml'))
+    .sort((a, b) => Number(a.slice(prefix.length, -4)) - Number(b.slice(prefix.length, -4)))
+    .map(name => fs.readFileSync(path.join(dropDir, name), 'utf8'));
+}
+
+/**
+ * Gets a counter from the listener's Prometheus metrics
+ * @param {string} series - Metric name with labels
+ * @returns {Promise<number>} Value (0 when not reported yet)
+ */
+async function getMetric(series) {
+  const { data } = await axios.get(`http://127.0.0.1:${metricsPort}/metrics`);
+  const line = data.split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.split(' ')[1]) : 0;
+}
+
+before(async () => {
+  const { apiUrl, eventsUrl } = await simulator.start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-listener-test-'));
+  dropDir = path.join(dataDir, 'drop');
+  port = await getFreePort();
+  metricsPort = await getFreePort();
+
+  listener = spawn(process.execPath, ['listener.js'], {
+    cwd: ROOT,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      RESGRID_API_URL: apiUrl,
+      RESGRID_EVENTS_URL: eventsUrl,
+      RESGRID_USER: 'simulator',
+      RESGRID_PASS: 'simulator',
+      RESGRID_RATE_LIMIT: '0',
+      INGEST_MODE: 'signalr',
+      DATA_DIR: dataDir,
+      LOGS_DIR: path.join(dataDir, 'logs'),
+      DESTINATIONS: JSON.stringify([{ name: 'drop', type: 'directory', path: dropDir }]),
+      PORT: String(port),
+      METRICS_PORT: String(metricsPort),
+      OUTBOX_DRAIN_INTERVAL: '1',
+      DELIVERY_MONITOR_ENABLED: 'false',
+      LOG_SHEET_ID: ''
+    }
+  });
+  listener.stdout.on('data', chunk => { output += chunk; });
+  listener.stderr.on('data', chunk => { output += chunk; });
+
+  await simulator.waitForClients(1, WAIT_TIMEOUT);
+});
+
+after(async () => {
+  if (listener && listener.exitCode === null) {
+    const exited = new Promise(resolve => listener.once('exit', resolve));
+    listener.kill('SIGTERM');
+    const timer = setTimeout(() => listener.kill('SIGKILL'), 10000);
+    await exited;
+    clearTimeout(timer);
+  }
+  await simulator.stop();
+});
+
+test('reports ready once connected to the hub', async () => {
+  const readiness = await waitFor(async () => {
+    const { data } = await axios.get(`http://127.0.0.1:${port}/health/ready`);
+    return data.ready && data;
+  }, 'the listener to be ready');
+
+  assert.strictEqual(readiness.checks.ingest.hubConnected, true);
+  assert.strictEqual(readiness.checks.token.valid, true);
+});
+
+test('delivers a CadIncident for a CallAdded event', async () => {
+  assert.strictEqual(simulator.emit('CallAdded', { CallId: 1001, Name: 'Chest Pain' }), 1);
+
+  const [xml] = await waitFor(async () => readDelivered(1001, 'M1').length === 1 && readDelivered(1001, 'M1'), 'the incident for call 1001');
+
+  assert.match(xml, /<IncidentNumber>1001<\/IncidentNumber>/);
+  assert.match(xml, /<EmsUnitCallSign>M1<\/EmsUnitCallSign>/);
+  assert.match(xml, /<IncidentAddress1>123 Main St<\/IncidentAddress1>/);
+  assert.match(xml, /<UnitEnRoute>2024-03-01T14:03:30/);
+  assert.match(xml, /<PatientLastName>Smith<\/PatientLastName>/);
+  assert.doesNotMatch(xml, /EMD_Performed/);
+  assert.doesNotMatch(xml, /Jane Doe/);
+});
+
+test('sends the incident again when a unit status changes', async () => {
+  simulator.setUnitStatus(1001, 'M1', 6, '2024-03-01T14:11:00Z');
+  simulator.emit('CallUpdated', { CallId: 1001 });
+
+  const delivered = await waitFor(async () => readDelivered(1001, 'M1').length === 2 && readDelivered(1001, 'M1'), 'the updated incident for call 1001');
+
+  assert.match(delivered[1], /<UnitArrivedOnScene>2024-03-01T14:11:00/);
+});
+
+test('does not send an unchanged incident again', async () => {
+  simulator.emit('CallUpdated', { CallId: 1001 });
+
+  await waitFor(async () => (await getMetric('bridge_events_received_total{source="signalr",event="CallUpdated"}')) === 2, 'the second CallUpdated event');
+  // Give the outbox worker time to deliver anything that was queued
+  await new Promise(resolve => setTimeout(resolve, 2500));
+
+  assert.strictEqual(readDelivered(1001, 'M1').length, 2);
+});
+
+test('sends the final incident when the call is closed', async () => {
+  simulator.setUnitStatus(1001, 'M1', 2, '2024-03-01T15:02:00Z');
+  simulator.updateCall(1001, { call: { State: 1, ClosedOn: '2024-03-01T15:05:00Z' } });
+  simulator.emit('CallClosed', { CallId: 1001 });
+
+  const delivered = await waitFor(async () => readDelivered(1001, 'M1').length === 3 && readDelivered(1001, 'M1'), 'the final incident for call 1001');
+
+  assert.match(delivered[2], /<UnitBackInService>2024-03-01T15:02:00/);
+});
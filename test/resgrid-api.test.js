@@ -0,0 +1,91 @@
+/**
+ * The Resgrid API client and call rendering, against the offline simulator
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createSimulator } = require('./simulator');
+
+const simulator = createSimulator();
+let api;
+
+before(async () => {
+  const { apiUrl, eventsUrl } = await simulator.start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-api-test-'));
+
+  // src/ modules read their configuration when first required
+  Object.assign(process.env, {
+    RESGRID_API_URL: apiUrl,
+    RESGRID_EVENTS_URL: eventsUrl,
+    RESGRID_USER: 'simulator',
+    RESGRID_PASS: 'simulator',
+    RESGRID_RATE_LIMIT: '0',
+    DATA_DIR: dataDir,
+    LOGS_DIR: path.join(dataDir, 'logs'),
+    LOG_LEVEL: 'warn'
+  });
+  api = require('../src/resgrid-api');
+});
+
+after(() => simulator.stop());
+
+test('requests a token with the configured credentials', async () => {
+  const { getApiToken } = require('../src/token-manager');
+
+  const token = await getApiToken();
+  assert.ok(token);
+  assert.ok(simulator.requests.some(r => r.method === 'POST' && r.path === '/api/v4/Connect/token'));
+});
+
+test('rejects API requests without a token', async () => {
+  const response = await axios.get(`${simulator.apiUrl}/Calls/GetActiveCalls`, { validateStatus: () => true });
+  assert.strictEqual(response.status, 401);
+});
+
+test('fetches a call and its extra data', async () => {
+  const call = await api.getCall(1001);
+  const extra = await api.getCallExtraData(1001);
+
+  assert.strictEqual(call.Data.Name, 'Chest Pain');
+  assert.deepStrictEqual(extra.Data.Dispatches.map(d => d.Name), ['M1', 'Jane Doe']);
+});
+
+test('lists calls logged in a date range', async () => {
+  const oneDay = await api.getCallsInDateRange('2024-03-01', '2024-03-01');
+  const twoDays = await api.getCallsInDateRange('2024-02-29T00:00:00Z', '2024-03-02T00:00:00Z');
+
+  assert.deepStrictEqual(oneDay.map(call => call.CallId), [1001]);
+  assert.deepStrictEqual(twoDays.map(call => call.CallId).sort(), [1001, 1002]);
+});
+
+test('lists only open calls as active', async () => {
+  const calls = await api.getActiveCalls();
+  assert.deepStrictEqual(calls.map(call => call.CallId), [1001]);
+});
+
+test('lists units and their statuses', async () => {
+  const units = await api.getUnits();
+  const statuses = await api.getUnitStatuses();
+  const definitions = await api.getUnitStatusDefinitions();
+
+  assert.deepStrictEqual(units.map(unit => unit.Name), ['M1', 'M2', 'E3']);
+  assert.strictEqual(statuses.find(status => status.UnitName === 'M1').StatusText, 'Responding');
+  assert.strictEqual(definitions.Data.length, 5);
+});
+
+test('renders one valid incident per responding unit with its own times', async () => {
+  await require('../src/unit-statuses').refreshStatusDefinitions();
+  const { renderCall } = require('../src/call-processor');
+
+  const { incidents } = await renderCall({ CallId: 1002 });
+
+  assert.deepStrictEqual(incidents.map(incident => incident.unit), ['M2', 'E3']);
+  for (const incident of incidents) {
+    assert.ok(incident.valid, incident.errors.join('; '));
+  }
+  assert.match(incidents[0].xml, /<UnitArrivedOnScene>2024-02-29T22:24:05/);
+  assert.match(incidents[1].xml, /<UnitArrivedOnScene>2024-02-29T22:22:50/);
+});
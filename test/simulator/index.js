@@ -0,0 +1,433 @@
+/**
+ * Offline Resgrid simulator
+ *
+ * Serves the parts of the Resgrid v4 API the bridge uses from fixtures, and
+ * hosts a SignalR events hub that emits CallAdded, CallUpdated, CallClosed and
+ * UnitStatusUpdated on demand, so the whole listener can run with no network:
+ *   POST /api/v4/Connect/token
+ *   GET  /api/v4/Calls/GetCall, GetCallExtraData, GetCallsInDateRange, GetActiveCalls
+ *   GET  /api/v4/Units/GetAllUnitsForSystem
+ *   GET  /api/v4/UnitStatus/GetAllUnitStatusDefinitions, GetAllUnitStatuses
+ *   /eventingHub (SignalR, long polling)
+ * Point the bridge at it with RESGRID_API_URL and RESGRID_EVENTS_URL.
+ *
+ * Tests use createSimulator(). `node test/simulator [--port=N]` runs it on its
+ * own, with control endpoints to add calls and emit events:
+ *   POST /simulator/calls   {"call": {...}, "extra": {...}}
+ *   POST /simulator/events  {"event": "CallAdded", "args": [{"CallId": 1001}]}
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { createHub } = require('./signalr-hub');
+
+const API_PATH = '/api/v4';
+const HUB_PATH = '/eventingHub';
+const DEFAULT_PORT = 5080;
+const TOKEN_LIFETIME = 3600;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads a fixture file
+ * @param {string} dir - Fixtures directory
+ * @param {string} name - File name
+ * @returns {*} Parsed fixture
+ */
+function readFixture(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+/**
+ * Parses a GetCallsInDateRange bound; a day that ends the range includes the whole day
+ * @param {string} value - Day (YYYY-MM-DD) or timestamp
+ * @param {boolean} isEnd - Whether the value ends the range
+ * @returns {number} Milliseconds since the epoch (NaN if unreadable)
+ */
+function parseBound(value, isEnd) {
+  const text = String(value || '');
+  if (DATE_PATTERN.test(text)) {
+    return new Date(`${text}T00:00:00Z`).getTime() + (isEnd ? DAY_MS : 0);
+  }
+  return new Date(text).getTime();
+}
+
+/**
+ * Wraps a result in the Resgrid v4 response envelope
+ * @param {*} data - Result
+ * @returns {Object} Response body
+ */
+function envelope(data) {
+  return {
+    Data: data,
+    PageSize: Array.isArray(data) ? data.length : 0,
+    Page: 0,
+    Timestamp: new Date().toISOString(),
+    Version: 'v4',
+    Status: 'success',
+    Environment: 'simulator'
+  };
+}
+
+/**
+ * Sends a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body
+ * @param {Object} req - HTTP request
+ * @returns {Promise<string>} Body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates a simulator
+ * @param {Object} [options] - Simulator options
+ * @param {string} [options.fixturesDir] - Directory with calls.json, units.json,
+ *   status-definitions.json and unit-statuses.json (default: ./fixtures)
+ * @param {string} [options.username='simulator'] - User name Connect/token accepts
+ * @param {string} [options.password='simulator'] - Password Connect/token accepts
+ * @returns {Object} Simulator
+ */
+function createSimulator(options = {}) {
+  const fixturesDir = options.fixturesDir || path.join(__dirname, 'fixtures');
+  const username = options.username || 'simulator';
+  const password = options.password || 'simulator';
+
+  // Calls by Call ID: { call, extra }
+  const calls = new Map();
+  for (const { call, extra } of readFixture(fixturesDir, 'calls.json')) {
+    calls.set(String(call.CallId), { call, extra: extra || {} });
+  }
+  const units = readFixture(fixturesDir, 'units.json');
+  const statusDefinitions = readFixture(fixturesDir, 'status-definitions.json');
+  const unitStatuses = readFixture(fixturesDir, 'unit-statuses.json');
+
+  const tokens = new Set();
+  const hub = createHub(HUB_PATH);
+  let server = null;
+  let baseUrl = null;
+
+  /**
+   * Gets a call, answering 404 when it doesn't exist
+   * @param {URL} url - Request URL with a callId parameter
+   * @param {Object} res - HTTP response
+   * @returns {Object|null} Call entry
+   */
+  function findCall(url, res) {
+    const entry = calls.get(String(url.searchParams.get('callId')));
+    if (!entry) {
+      sendJson(res, 404, envelope(null));
+    }
+    return entry || null;
+  }
+
+  // Resgrid API endpoints by path (relative to /api/v4)
+  const endpoints = {
+    'Calls/GetCall': (url, res) => {
+      const entry = findCall(url, res);
+      if (entry) {
+        sendJson(res, 200, envelope(entry.call));
+      }
+    },
+    'Calls/GetCallExtraData': (url, res) => {
+      const entry = findCall(url, res);
+      if (entry) {
+        sendJson(res, 200, envelope({ CallId: entry.call.CallId, ...entry.extra }));
+      }
+    },
+    'Calls/GetCallsInDateRange': (url, res) => {
+      const from = parseBound(url.searchParams.get('startDate'), false);
+      const to = parseBound(url.searchParams.get('endDate'), true);
+      if (isNaN(from) || isNaN(to)) {
+        sendJson(res, 400, { Message: 'startDate and endDate are required' });
+        return;
+      }
+      const inRange = [...calls.values()]
+        .map(entry => entry.call)
+        .filter(call => {
+          const loggedOn = new Date(call.LoggedOn).getTime();
+          return loggedOn >= from && loggedOn < to;
+        });
+      sendJson(res, 200, envelope(inRange));
+    },
+    'Calls/GetActiveCalls': (url, res) => {
+      sendJson(res, 200, envelope([...calls.values()].map(entry => entry.call).filter(call => !call.State)));
+    },
+    'Units/GetAllUnitsForSystem': (url, res) => sendJson(res, 200, envelope(units)),
+    'UnitStatus/GetAllUnitStatusDefinitions': (url, res) => sendJson(res, 200, envelope(statusDefinitions)),
+    'UnitStatus/GetAllUnitStatuses': (url, res) => sendJson(res, 200, envelope(unitStatuses))
+  };
+
+  /**
+   * Handles Connect/token (password grant)
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async function handleToken(req, res) {
+    const form = new URLSearchParams(await readBody(req));
+    if (form.get('grant_type') !== 'password' || form.get('username') !== username || form.get('password') !== password) {
+      sendJson(res, 400, { error: 'invalid_grant', error_description: 'The user name or password is incorrect' });
+      return;
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.add(token);
+    sendJson(res, 200, { access_token: token, token_type: 'Bearer', expires_in: TOKEN_LIFETIME });
+  }
+
+  /**
+   * Handles the control endpoints used when the simulator runs on its own
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   * @param {URL} url - Request URL
+   */
+  async function handleControl(req, res, url) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Use POST' });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req) || '{}');
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+      return;
+    }
+
+    try {
+      if (url.pathname === '/simulator/calls') {
+        simulator.addCall(body.call, body.extra);
+        sendJson(res, 200, { callId: body.call.CallId });
+      } else if (url.pathname === '/simulator/events') {
+        sendJson(res, 200, { clients: simulator.emit(body.event, ...(body.args || [])) });
+      } else {
+        sendJson(res, 404, { error: 'Not Found' });
+      }
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  }
+
+  /**
+   * Handles a request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    simulator.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    if (await hub.handle(req, res, url)) {
+      return;
+    }
+
+    if (url.pathname.startsWith('/simulator/')) {
+      await handleControl(req, res, url);
+      return;
+    }
+
+    const endpoint = url.pathname.startsWith(`${API_PATH}/`) ? url.pathname.slice(API_PATH.length + 1) : null;
+    if (endpoint === 'Connect/token' && req.method === 'POST') {
+      await handleToken(req, res);
+      return;
+    }
+
+    const handler = endpoints[endpoint];
+    if (!handler || req.method !== 'GET') {
+      sendJson(res, 404, { Message: `No HTTP resource was found that matches ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    const authorization = req.headers.authorization || '';
+    if (!tokens.has(authorization.replace(/^Bearer /, ''))) {
+      sendJson(res, 401, { Message: 'Authorization has been denied for this request.' });
+      return;
+    }
+
+    handler(url, res);
+  }
+
+  const simulator = {
+    // Every request received: { method, path, query }
+    requests: [],
+
+    /**
+     * Starts serving
+     * @param {number} [port=0] - Port (0 picks a free one)
+     * @returns {Promise<Object>} The apiUrl and eventsUrl to configure the bridge with
+     */
+    start(port = 0) {
+      server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => sendJson(res, 500, { Message: error.message }));
+      });
+
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve({ apiUrl: simulator.apiUrl, eventsUrl: simulator.eventsUrl });
+        });
+      });
+    },
+
+    /**
+     * Stops serving and drops every hub connection
+     * @returns {Promise<void>}
+     */
+    stop() {
+      hub.close();
+      if (!server) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+        server = null;
+      });
+    },
+
+    get apiUrl() {
+      return `${baseUrl}${API_PATH}`;
+    },
+
+    get eventsUrl() {
+      return `${baseUrl}${HUB_PATH}`;
+    },
+
+    /**
+     * Adds a call, or replaces one with the same Call ID
+     * @param {Object} call - GetCall data (must include CallId)
+     * @param {Object} [extra] - GetCallExtraData data (Dispatches, Activity)
+     */
+    addCall(call, extra = {}) {
+      if (!call || call.CallId === undefined) {
+        throw new Error('A call needs a CallId');
+      }
+      calls.set(String(call.CallId), { call: { ...call }, extra: { ...extra } });
+    },
+
+    /**
+     * Changes a call
+     * @param {string|number} callId - Resgrid Call ID
+     * @param {Object} changes - Fields to change: { call, extra }
+     */
+    updateCall(callId, { call = {}, extra = {} }) {
+      const entry = calls.get(String(callId));
+      if (!entry) {
+        throw new Error(`Unknown call ${callId}`);
+      }
+      Object.assign(entry.call, call);
+      Object.assign(entry.extra, extra);
+    },
+
+    /**
+     * Records a unit status change on a call, as Resgrid does when a crew presses a status button
+     * @param {string|number} callId - Resgrid Call ID
+     * @param {string} unitName - Unit name
+     * @param {number} statusId - New StatusId
+     * @param {string} [timestamp] - When the status changed (default: now)
+     */
+    setUnitStatus(callId, unitName, statusId, timestamp = new Date().toISOString()) {
+      const entry = calls.get(String(callId));
+      if (!entry) {
+        throw new Error(`Unknown call ${callId}`);
+      }
+
+      const definition = statusDefinitions.find(def => def.StatusId === statusId);
+      const statusText = definition ? definition.ButtonText : '';
+      entry.extra.Activity = [
+        ...(entry.extra.Activity || []),
+        { Type: 'Unit', Name: unitName, StatusId: statusId, StatusText: statusText, Timestamp: timestamp }
+      ];
+
+      const status = unitStatuses.find(s => s.UnitName === unitName);
+      if (status) {
+        Object.assign(status, { StatusId: statusId, StatusText: statusText, Timestamp: timestamp });
+      }
+    },
+
+    /**
+     * Emits an event to every client connected to the hub
+     * @param {string} event - Event name, e.g. CallAdded
+     * @param {...*} args - Event arguments
+     * @returns {number} Number of clients the event was sent to
+     */
+    emit(event, ...args) {
+      if (!event) {
+        throw new Error('An event name is required');
+      }
+      return hub.broadcast(event, args);
+    },
+
+    /**
+     * Drops every hub connection, as a hub outage would
+     */
+    disconnectClients() {
+      hub.disconnectAll();
+    },
+
+    /**
+     * Waits until enough clients are connected to the hub
+     * @param {number} [count=1] - Clients to wait for
+     * @param {number} [timeout=20000] - Milliseconds to wait
+     * @returns {Promise<void>}
+     */
+    waitForClients(count = 1, timeout = 20000) {
+      if (hub.clientCount() >= count) {
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          hub.off('connected', onConnected);
+          reject(new Error(`Timed out waiting for ${count} hub client(s), ${hub.clientCount()} connected`));
+        }, timeout);
+        const onConnected = () => {
+          if (hub.clientCount() >= count) {
+            clearTimeout(timer);
+            hub.off('connected', onConnected);
+            resolve();
+          }
+        };
+        hub.on('connected', onConnected);
+      });
+    }
+  };
+
+  return simulator;
+}
+
+module.exports = { createSimulator };
+
+if (require.main === module) {
+  const portArg = process.argv.slice(2).find(arg => arg.startsWith('--port='));
+  const port = portArg ? parseInt(portArg.slice('--port='.length), 10) : parseInt(process.env.SIMULATOR_PORT || DEFAULT_PORT, 10);
+  const simulator = createSimulator();
+
+  simulator.start(port).then(({ apiUrl, eventsUrl }) => {
+    console.log(`Resgrid simulator listening on port ${port}. Run the bridge with:`);
+    console.log(`  RESGRID_API_URL=${apiUrl} RESGRID_EVENTS_URL=${eventsUrl} RESGRID_USER=simulator RESGRID_PASS=simulator`);
+    console.log('Emit an event with:');
+    console.log(`  curl -X POST localhost:${port}/simulator/events -d '{"event": "CallAdded", "args": [{"CallId": 1001}]}'`);
+  }).catch(error => {
+    console.error(`Unable to start the simulator: ${error.message}`);
+    process.exit(1);
+  });
+}
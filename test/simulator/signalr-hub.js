@@ -0,0 +1,268 @@
+/**
+ * Minimal SignalR hub for the Resgrid simulator
+ *
+ * Implements just enough of ASP.NET Core SignalR for @microsoft/signalr
+ * clients: negotiation (version 1), the long polling transport and the JSON
+ * hub protocol. Long polling is plain HTTP, so the simulator needs no
+ * WebSocket server. Events are broadcast to every connected client; methods
+ * the clients invoke are acknowledged and otherwise ignored.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Every hub protocol message ends with this character
+const RECORD_SEPARATOR = '\x1e';
+
+const MESSAGE_TYPES = { invocation: 1, completion: 3, ping: 6, close: 7 };
+
+// Clients close the connection when the server is silent for 30 seconds
+const KEEPALIVE_INTERVAL = 15000;
+
+// Polls are answered (empty) before the client's 100 second request timeout
+const POLL_TIMEOUT = 60000;
+
+/**
+ * Reads a request body
+ * @param {Object} req - HTTP request
+ * @returns {Promise<string>} Body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates a hub served under a path
+ * @param {string} hubPath - URL path of the hub, e.g. /eventingHub
+ * @returns {Object} Hub; emits 'connected' and 'disconnected' with the connection ID
+ */
+function createHub(hubPath) {
+  const hub = new EventEmitter();
+
+  // Connections by connection token
+  const connections = new Map();
+
+  /**
+   * Answers a waiting poll with the queued messages
+   * @param {Object} connection - Connection
+   * @param {boolean} [always] - Answer even when nothing is queued
+   */
+  function flush(connection, always = false) {
+    if (!connection.poll || (connection.queue.length === 0 && !always)) {
+      return;
+    }
+
+    clearTimeout(connection.pollTimer);
+    const res = connection.poll;
+    connection.poll = null;
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(connection.queue.join(''));
+    connection.queue = [];
+  }
+
+  /**
+   * Queues a hub protocol message for a connection
+   * @param {Object} connection - Connection
+   * @param {Object} message - Message
+   */
+  function send(connection, message) {
+    connection.queue.push(`${JSON.stringify(message)}${RECORD_SEPARATOR}`);
+    flush(connection);
+  }
+
+  /**
+   * Ends a connection; its next (or waiting) poll is answered with 204
+   * @param {Object} connection - Connection
+   */
+  function closeConnection(connection) {
+    if (connection.closed) {
+      return;
+    }
+
+    connection.closed = true;
+    clearTimeout(connection.pollTimer);
+    if (connection.poll) {
+      connection.poll.writeHead(204);
+      connection.poll.end();
+      connection.poll = null;
+    }
+    connections.delete(connection.token);
+    if (connection.handshaken) {
+      hub.emit('disconnected', connection.id);
+    }
+  }
+
+  /**
+   * Handles the messages a client posted
+   * @param {Object} connection - Connection
+   * @param {string} body - One or more messages, each ending with the record separator
+   */
+  function receive(connection, body) {
+    for (const text of body.split(RECORD_SEPARATOR).filter(Boolean)) {
+      const message = JSON.parse(text);
+
+      if (!connection.handshaken) {
+        if (message.protocol !== 'json') {
+          send(connection, { error: `Protocol "${message.protocol}" is not supported` });
+          continue;
+        }
+        connection.handshaken = true;
+        send(connection, {});
+        hub.emit('connected', connection.id);
+        continue;
+      }
+
+      if (message.type === MESSAGE_TYPES.invocation && message.invocationId) {
+        send(connection, { type: MESSAGE_TYPES.completion, invocationId: message.invocationId, result: null });
+      } else if (message.type === MESSAGE_TYPES.close) {
+        closeConnection(connection);
+      }
+    }
+  }
+
+  const keepalive = setInterval(() => {
+    for (const connection of connections.values()) {
+      if (connection.handshaken) {
+        send(connection, { type: MESSAGE_TYPES.ping });
+      }
+    }
+  }, KEEPALIVE_INTERVAL);
+
+  /**
+   * Handles a request if it is for the hub
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   * @param {URL} url - Parsed request URL
+   * @returns {Promise<boolean>} False if the request isn't for the hub
+   */
+  hub.handle = async (req, res, url) => {
+    if (url.pathname === `${hubPath}/negotiate` && req.method === 'POST') {
+      const connection = {
+        id: crypto.randomUUID(),
+        token: crypto.randomUUID(),
+        started: false,
+        handshaken: false,
+        closed: false,
+        queue: [],
+        poll: null,
+        pollTimer: null
+      };
+      connections.set(connection.token, connection);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        negotiateVersion: 1,
+        connectionId: connection.id,
+        connectionToken: connection.token,
+        availableTransports: [{ transport: 'LongPolling', transferFormats: ['Text', 'Binary'] }]
+      }));
+      return true;
+    }
+
+    if (url.pathname !== hubPath) {
+      return false;
+    }
+
+    const connection = connections.get(url.searchParams.get('id'));
+    if (!connection) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('No connection with that ID');
+      return true;
+    }
+
+    if (req.method === 'GET') {
+      if (!connection.started) {
+        // The first poll only confirms the connection
+        connection.started = true;
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end();
+        return true;
+      }
+
+      if (connection.poll) {
+        flush(connection, true);
+      }
+      connection.poll = res;
+      connection.pollTimer = setTimeout(() => flush(connection, true), POLL_TIMEOUT);
+      req.on('close', () => {
+        if (connection.poll === res && !res.writableEnded) {
+          clearTimeout(connection.pollTimer);
+          connection.poll = null;
+        }
+      });
+      flush(connection);
+      return true;
+    }
+
+    if (req.method === 'POST') {
+      try {
+        receive(connection, await readBody(req));
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end();
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(`Unreadable message: ${error.message}`);
+      }
+      return true;
+    }
+
+    if (req.method === 'DELETE') {
+      closeConnection(connection);
+      res.writeHead(202, { 'Content-Type': 'text/plain' });
+      res.end();
+      return true;
+    }
+
+    res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, POST, DELETE' });
+    res.end('Method Not Allowed');
+    return true;
+  };
+
+  /**
+   * Invokes a client method (emits an event) on every connected client
+   * @param {string} target - Event name, e.g. CallAdded
+   * @param {Array} args - Event arguments
+   * @returns {number} Number of clients the event was sent to
+   */
+  hub.broadcast = (target, args) => {
+    let sent = 0;
+    for (const connection of connections.values()) {
+      if (connection.handshaken) {
+        send(connection, { type: MESSAGE_TYPES.invocation, target, arguments: args });
+        sent++;
+      }
+    }
+    return sent;
+  };
+
+  /**
+   * Counts the connected clients
+   * @returns {number} Clients that completed the handshake
+   */
+  hub.clientCount = () => [...connections.values()].filter(connection => connection.handshaken).length;
+
+  /**
+   * Drops every connection, as a hub outage would; clients start reconnecting
+   */
+  hub.disconnectAll = () => {
+    for (const connection of [...connections.values()]) {
+      closeConnection(connection);
+    }
+  };
+
+  /**
+   * Drops every connection and stops the keepalive
+   */
+  hub.close = () => {
+    clearInterval(keepalive);
+    hub.disconnectAll();
+  };
+
+  return hub;
+}
+
+module.exports = { createHub };